@@ -0,0 +1,468 @@
+// UI strings for every supported locale. `{name}` placeholders are filled in by `t()`;
+// entries that need plural forms are functions of the same params.
+const DEFAULT_LOCALE = 'zh-CN';
+const LOCALE_STORAGE_KEY = 'movie-gallery:locale';
+
+const plural = (count, one, other) => `${count} ${count === 1 ? one : other}`;
+
+const LOCALE_MESSAGES = {
+    'zh-CN': {
+        'locale.name': '中文',
+        'app.title': 'Berg观影记录',
+        'nav.gallery': '片库',
+        'nav.lists': '片单',
+        'nav.stats': '年度统计',
+        'nav.ratings': '评分对比',
+        'nav.directors': '导演',
+        'nav.language': '界面语言',
+
+        'filter.all': '全部',
+        'filter.movie': '电影',
+        'filter.tv': '剧集',
+        'filter.webVideo': '网络视频',
+        'search.placeholder': '搜索片名、导演、备注…',
+        'layout.label': '已看完的展示方式',
+        'layout.grid': '网格',
+        'layout.timeline': '时间线',
+
+        'facet.toggle': '筛选',
+        'facet.toggleActive': '筛选 ({count})',
+        'facet.genre': '题材',
+        'facet.decade': '年代',
+        'facet.language': '原始语言',
+        'facet.tag': '标签',
+        'facet.rating': '我的评分',
+        'facet.cinemaOnly': '只看影院观影 🎦',
+        'facet.clear': '清除筛选',
+        'facet.decadeValue': '{decade}年代',
+
+        'section.watching': '正在看',
+        'section.wishlist': '想看',
+        'section.watched': '已看完',
+        'section.watchingSort': '正在看排序',
+        'section.wishlistSort': '想看排序',
+        'section.watchedSort': '已看完排序',
+        'section.watchingEmpty': '暂无正在看的影片',
+        'section.wishlistEmpty': '暂无想看的影片',
+        'section.watchedEmpty': '还没有完成的观影记录',
+        'section.loadMore': '加载更多（还有 {count} 部）',
+
+        'archive.allYears': '全部年份',
+        'archive.prev': '更早一年',
+        'archive.next': '更晚一年',
+        'archive.select': '按年份查看已看完',
+        'archive.heading': '{year} 年看过 {count} 部',
+
+        'picker.toggle': '🎲 今晚看什么',
+        'picker.type': '类型',
+        'picker.maxRuntime': '最长片长（分钟）',
+        'picker.any': '不限',
+        'picker.weight': '抽取方式',
+        'picker.weightEven': '完全随机',
+        'picker.weightRating': 'TMDB 评分越高越容易抽中',
+        'picker.weightWaiting': '等得越久越容易抽中',
+        'picker.skipRecent': '跳过最近两周选定过的',
+        'picker.roll': '抽一部',
+        'picker.reroll': '换一部',
+        'picker.why': '为什么是它',
+        'picker.accept': '就看这部',
+        'picker.accepted': '已记下，观影愉快',
+        'picker.noMatch': '没有符合条件的想看条目，放宽一些条件试试',
+        'picker.reasonPool': '从 {count} 部符合条件的想看中抽中，概率约 {percent}%',
+        'picker.reasonType': '只在{type}里挑',
+        'picker.reasonRuntime': '片长 {runtime} 分钟，不超过 {max} 分钟',
+        'picker.reasonGenre': '属于「{genre}」题材',
+        'picker.reasonLanguage': '原始语言是{language}',
+        'picker.reasonRating': 'TMDB 评分 {rating}，评分越高越容易抽中',
+        'picker.reasonUnrated': '暂无 TMDB 评分，按中等评分计算',
+        'picker.reasonWaiting': '在想看里排第 {rank} 久（共 {total} 部），等得越久越容易抽中',
+        'picker.reasonLastPicked': '上次选定它是 {days} 天前',
+        'picker.reasonPickedToday': '今天已经选定过它一次',
+        'picker.reasonNeverPicked': '之前还没选定过它',
+
+        'mediaType.movie': '电影',
+        'mediaType.tv': '剧集',
+        'mediaType.web-video': '网络视频',
+
+        'sort.watch-latest': '最近观影',
+        'sort.watch-first': '首次观影',
+        'sort.release': '上映日期',
+        'sort.rating': '我的评分',
+        'sort.tmdb-rating': 'TMDB 评分',
+        'sort.runtime': '片长',
+        'sort.title': '片名',
+        'sort.added': '添加顺序',
+        'sort.added-date': '最近添加',
+        'sort.waiting': '等待最久',
+        'sort.priority': '优先级',
+
+        'priority.must-see': '必看',
+        'priority.normal': '普通',
+        'priority.someday': '有空再看',
+
+        'wishlist.group': '想看分组方式',
+        'wishlist.groupNone': '不分组',
+        'wishlist.groupPriority': '按优先级分组',
+        'wishlist.groupRecommender': '按推荐人分组',
+        'wishlist.noRecommender': '未注明推荐人',
+        'wishlist.addedToday': '今天刚加入',
+        'wishlist.waitingDays': '已等待 {count} 天',
+        'wishlist.waitingMonths': '已等待 {count} 个月',
+        'wishlist.waitingYears': '已等待 {count} 年',
+
+        'card.cinema': '影院观影',
+        'card.rewatch': '重温',
+        'card.myScore': '我',
+        'card.release': '上映：{date}',
+        'card.creator': 'UP主：{name}',
+        'card.duration': '时长：{duration}',
+        'card.watched': '观影：{date}',
+        'card.rewatched': '再看：{dates}',
+        'card.progress': '第 {season} 季 · {watched} / {total} 集',
+        'card.progressTitle': '共看了 {watched} / {total} 集',
+        'card.added': '{date} 加入想看',
+        'card.recommendedBy': '{name} 推荐',
+        'list.separator': '、',
+
+        'timeline.undated': '未记录日期',
+        'timeline.count': '{count} 部',
+
+        'detail.close': '关闭',
+        'detail.release': '上映',
+        'detail.runtime': '片长',
+        'detail.episodeRuntime': '单集片长',
+        'detail.minutes': '{count} 分钟',
+        'detail.genres': '题材',
+        'detail.directors': '导演',
+        'detail.language': '语言',
+        'detail.tags': '标签',
+        'detail.creator': 'UP主',
+        'detail.duration': '时长',
+        'detail.myRating': '我的评分',
+        'detail.tmdbRating': 'TMDB 评分',
+        'detail.votes': '（{count} 人）',
+        'detail.priority': '优先级',
+        'detail.recommendedBy': '推荐人',
+        'detail.added': '加入时间',
+        'detail.addedWaiting': '{date}（{waiting}）',
+        'detail.history': '观影记录',
+        'detail.progress': '追剧进度（{watched} / {total} 集）',
+        'detail.season': '第 {season} 季',
+        'detail.episodes': '{watched} / {total} 集',
+        'detail.firstViewing': '首次观影',
+        'detail.nthViewing': '第 {count} 次',
+        'detail.noHistory': '暂无观影记录',
+        'detail.sharePage': '分享页面',
+        'detail.tmdbLink': '在 TMDB 查看',
+        'detail.homepage': '官方网站',
+        'detail.platformLink': '前往 {platform} 页面',
+        'detail.watchLink': '前往播放页面',
+
+        'titlePage.type': '类型',
+        'titlePage.viewInGallery': '在片库中查看',
+        'titlePage.summaryRating': '我的评分 {rating}',
+        'titlePage.summaryViewings': '看过 {count} 次，最近一次 {date}',
+        'titlePage.summaryViewed': '{date} 看过',
+
+        'update.message': '观影数据有更新',
+        'update.appMessage': '页面有新版本',
+        'update.reload': '刷新',
+        'update.dismiss': '关闭',
+
+        'stats.title': '年度回顾',
+        'stats.prev': '上一年',
+        'stats.next': '下一年',
+        'stats.selectYear': '选择年份',
+        'stats.noViewings': '还没有带观影日期的记录',
+        'stats.noData': '暂无数据',
+        'stats.viewings': '次观影',
+        'stats.movies': '部电影',
+        'stats.tv': '部剧集',
+        'stats.hours': '小时（不含剧集）',
+        'stats.cinemaShare': '影院观影',
+        'stats.ratings': '我的均分 / TMDB 均分（{count} 部）',
+        'stats.calendar': '观影日历',
+        'stats.monthly': '每月观影',
+        'stats.monthTooltip': '{month}：电影 {movie}，剧集 {tv}，网络视频 {web}',
+        'stats.topGenres': '最常看的题材',
+        'stats.topDirectors': '最常看的导演',
+        'stats.rewatched': '重温最多',
+        'stats.rewatchCount': '今年 {year} 次 · 累计 {total} 次',
+        'stats.noRewatches': '今年没有重温的片子',
+
+        'heatmap.cell': '{date}：{count} 部',
+        'heatmap.less': '少',
+        'heatmap.more': '多',
+        'heatmap.hint': '将鼠标移到或点击格子查看当天看了什么',
+        'heatmap.dayTitle': '{date} · {count} 部',
+        'heatmap.jump': '跳到卡片',
+        'heatmap.empty': '{date} 没有观影记录',
+
+        'ratings.title': '我的评分 vs TMDB',
+        'ratings.empty': '还没有同时带我的评分和 TMDB 评分的条目',
+        'ratings.summary': '共 {count} 部同时有两种评分（TMDB 评分人数不少于 {votes}），我的评分减去 TMDB 评分平均为 {difference}。对角线以上是我打分更高的片子。',
+        'ratings.chartLabel': '我的评分与 TMDB 评分散点图',
+        'ratings.pointTitle': '{title}：我的评分 {personal} / TMDB {tmdb}',
+        'ratings.scores': '我 {personal} · TMDB {tmdb}',
+        'ratings.higher': '我比大家更喜欢',
+        'ratings.lower': '大家比我更喜欢',
+
+        'directors.empty': '还没有导演信息',
+        'directors.summary': '共 {count} 位导演，按看过的作品数排序',
+        'directors.watched': '看过 {count} 部',
+        'directors.inLibrary': ' · 片库 {count} 部',
+        'directors.average': '均分 {value}',
+        'person.back': '‹ 全部导演',
+        'person.tmdb': 'TMDB 主页',
+        'person.watched': '看过',
+        'person.count': '{count} 部',
+        'person.average': '我的均分',
+        'person.first': '首次观影',
+        'person.latest': '最近观影',
+
+        'lists.empty': '还没有片单，可以用 scripts/add_to_list.js 创建',
+        'lists.count': '{count} 部',
+        'lists.back': '‹ 全部片单',
+    },
+
+    en: {
+        'locale.name': 'English',
+        'app.title': "Berg's Movie Log",
+        'nav.gallery': 'Library',
+        'nav.lists': 'Lists',
+        'nav.stats': 'Year in review',
+        'nav.ratings': 'Ratings',
+        'nav.directors': 'Directors',
+        'nav.language': 'Interface language',
+
+        'filter.all': 'All',
+        'filter.movie': 'Movies',
+        'filter.tv': 'TV',
+        'filter.webVideo': 'Web videos',
+        'search.placeholder': 'Search titles, directors, notes…',
+        'layout.label': 'Layout for watched titles',
+        'layout.grid': 'Grid',
+        'layout.timeline': 'Timeline',
+
+        'facet.toggle': 'Filters',
+        'facet.toggleActive': 'Filters ({count})',
+        'facet.genre': 'Genre',
+        'facet.decade': 'Decade',
+        'facet.language': 'Original language',
+        'facet.tag': 'Tags',
+        'facet.rating': 'My rating',
+        'facet.cinemaOnly': 'Seen in a cinema 🎦',
+        'facet.clear': 'Clear filters',
+        'facet.decadeValue': '{decade}s',
+
+        'section.watching': 'Watching',
+        'section.wishlist': 'Want to watch',
+        'section.watched': 'Watched',
+        'section.watchingSort': 'Sort titles being watched',
+        'section.wishlistSort': 'Sort wishlist',
+        'section.watchedSort': 'Sort watched titles',
+        'section.watchingEmpty': 'Nothing in progress',
+        'section.wishlistEmpty': 'The wishlist is empty',
+        'section.watchedEmpty': 'No finished titles yet',
+        'section.loadMore': ({ count }) => `Load more (${plural(count, 'title', 'titles')} left)`,
+
+        'archive.allYears': 'All years',
+        'archive.prev': 'Earlier year',
+        'archive.next': 'Later year',
+        'archive.select': 'Show watched titles by year',
+        'archive.heading': ({ year, count }) => `${plural(count, 'title', 'titles')} watched in ${year}`,
+
+        'picker.toggle': '🎲 What to watch tonight',
+        'picker.type': 'Type',
+        'picker.maxRuntime': 'Max runtime (min)',
+        'picker.any': 'Any',
+        'picker.weight': 'Weighting',
+        'picker.weightEven': 'Purely random',
+        'picker.weightRating': 'Favour higher TMDB ratings',
+        'picker.weightWaiting': 'Favour titles waiting longest',
+        'picker.skipRecent': 'Skip titles chosen in the last two weeks',
+        'picker.roll': 'Pick one',
+        'picker.reroll': 'Pick another',
+        'picker.why': 'Why this one',
+        'picker.accept': "We'll watch this",
+        'picker.accepted': 'Noted. Enjoy the show',
+        'picker.noMatch': 'Nothing on the wishlist matches; try loosening the constraints',
+        'picker.reasonPool': ({ count, percent }) => `Drawn from ${plural(count, 'matching title', 'matching titles')} with a ${percent}% chance`,
+        'picker.reasonType': 'Limited to {type}',
+        'picker.reasonRuntime': 'Runs {runtime} min, within the {max} min limit',
+        'picker.reasonGenre': 'Genre: {genre}',
+        'picker.reasonLanguage': 'Original language: {language}',
+        'picker.reasonRating': 'Rated {rating} on TMDB; higher ratings are more likely',
+        'picker.reasonUnrated': 'No TMDB rating yet, so it counts as average',
+        'picker.reasonWaiting': 'Waiting #{rank} longest of {total}; longer waits are more likely',
+        'picker.reasonLastPicked': ({ days }) => `Last chosen ${plural(days, 'day', 'days')} ago`,
+        'picker.reasonPickedToday': 'Already chosen once today',
+        'picker.reasonNeverPicked': 'Never chosen before',
+
+        'mediaType.movie': 'Movies',
+        'mediaType.tv': 'TV',
+        'mediaType.web-video': 'Web videos',
+
+        'sort.watch-latest': 'Latest viewing',
+        'sort.watch-first': 'First viewing',
+        'sort.release': 'Release date',
+        'sort.rating': 'My rating',
+        'sort.tmdb-rating': 'TMDB rating',
+        'sort.runtime': 'Runtime',
+        'sort.title': 'Title',
+        'sort.added': 'Library order',
+        'sort.added-date': 'Recently added',
+        'sort.waiting': 'Waiting longest',
+        'sort.priority': 'Priority',
+
+        'priority.must-see': 'Must-see',
+        'priority.normal': 'Normal',
+        'priority.someday': 'Someday',
+
+        'wishlist.group': 'Group the wishlist',
+        'wishlist.groupNone': 'No grouping',
+        'wishlist.groupPriority': 'Group by priority',
+        'wishlist.groupRecommender': 'Group by recommender',
+        'wishlist.noRecommender': 'No recommender',
+        'wishlist.addedToday': 'Added today',
+        'wishlist.waitingDays': ({ count }) => `Waiting ${plural(count, 'day', 'days')}`,
+        'wishlist.waitingMonths': ({ count }) => `Waiting ${plural(count, 'month', 'months')}`,
+        'wishlist.waitingYears': ({ count }) => `Waiting ${plural(count, 'year', 'years')}`,
+
+        'card.cinema': 'Seen in a cinema',
+        'card.rewatch': 'Rewatch',
+        'card.myScore': 'Me',
+        'card.release': 'Released {date}',
+        'card.creator': 'By {name}',
+        'card.duration': 'Length {duration}',
+        'card.watched': 'Watched {date}',
+        'card.rewatched': 'Again: {dates}',
+        'card.progress': 'S{season} · {watched} / {total} episodes',
+        'card.progressTitle': '{watched} of {total} episodes watched',
+        'card.added': 'Added {date}',
+        'card.recommendedBy': 'Recommended by {name}',
+        'list.separator': ', ',
+
+        'timeline.undated': 'Undated',
+        'timeline.count': ({ count }) => plural(count, 'title', 'titles'),
+
+        'detail.close': 'Close',
+        'detail.release': 'Released',
+        'detail.runtime': 'Runtime',
+        'detail.episodeRuntime': 'Episode runtime',
+        'detail.minutes': '{count} min',
+        'detail.genres': 'Genres',
+        'detail.directors': 'Director',
+        'detail.language': 'Language',
+        'detail.tags': 'Tags',
+        'detail.creator': 'Creator',
+        'detail.duration': 'Length',
+        'detail.myRating': 'My rating',
+        'detail.tmdbRating': 'TMDB rating',
+        'detail.votes': ({ count }) => ` (${plural(count, 'vote', 'votes')})`,
+        'detail.priority': 'Priority',
+        'detail.recommendedBy': 'Recommended by',
+        'detail.added': 'Added',
+        'detail.addedWaiting': '{date} ({waiting})',
+        'detail.history': 'Viewing history',
+        'detail.progress': 'Progress ({watched} of {total} episodes)',
+        'detail.season': 'Season {season}',
+        'detail.episodes': '{watched} / {total}',
+        'detail.firstViewing': 'First viewing',
+        'detail.nthViewing': 'Viewing {count}',
+        'detail.noHistory': 'No viewings recorded',
+        'detail.sharePage': 'Share page',
+        'detail.tmdbLink': 'View on TMDB',
+        'detail.homepage': 'Official site',
+        'detail.platformLink': 'Open on {platform}',
+        'detail.watchLink': 'Watch online',
+
+        'titlePage.type': 'Type',
+        'titlePage.viewInGallery': 'View in the gallery',
+        'titlePage.summaryRating': 'My rating {rating}',
+        'titlePage.summaryViewings': ({ count, date }) => `Watched ${plural(count, 'time', 'times')}, most recently ${date}`,
+        'titlePage.summaryViewed': 'Watched {date}',
+
+        'update.message': 'New viewing data is available',
+        'update.appMessage': 'A new version of this page is available',
+        'update.reload': 'Reload',
+        'update.dismiss': 'Dismiss',
+
+        'stats.title': 'Year in review',
+        'stats.prev': 'Previous year',
+        'stats.next': 'Next year',
+        'stats.selectYear': 'Choose a year',
+        'stats.noViewings': 'No dated viewings yet',
+        'stats.noData': 'No data yet',
+        'stats.viewings': 'viewings',
+        'stats.movies': 'movies',
+        'stats.tv': 'TV shows',
+        'stats.hours': 'hours (excluding TV)',
+        'stats.cinemaShare': 'in a cinema',
+        'stats.ratings': ({ count }) => `My average / TMDB average (${plural(count, 'title', 'titles')})`,
+        'stats.calendar': 'Viewing calendar',
+        'stats.monthly': 'Viewings per month',
+        'stats.monthTooltip': '{month}: {movie} movies, {tv} TV, {web} web videos',
+        'stats.topGenres': 'Top genres',
+        'stats.topDirectors': 'Top directors',
+        'stats.rewatched': 'Most rewatched',
+        'stats.rewatchCount': '{year}× this year · {total}× in total',
+        'stats.noRewatches': 'No rewatches this year',
+
+        'heatmap.cell': ({ date, count }) => `${date}: ${plural(count, 'title', 'titles')}`,
+        'heatmap.less': 'Less',
+        'heatmap.more': 'More',
+        'heatmap.hint': 'Hover over or click a day to see what was watched',
+        'heatmap.dayTitle': ({ date, count }) => `${date} · ${plural(count, 'title', 'titles')}`,
+        'heatmap.jump': 'Show card',
+        'heatmap.empty': 'Nothing watched on {date}',
+
+        'ratings.title': 'My ratings vs TMDB',
+        'ratings.empty': 'No titles have both my rating and a TMDB rating yet',
+        'ratings.summary': ({ count, votes, difference }) => `${plural(count, 'title has', 'titles have')} both ratings (TMDB scores from at least ${votes} votes); my score minus TMDB's averages ${difference}. Points above the diagonal are titles I liked more.`,
+        'ratings.chartLabel': 'Scatter plot of my ratings against TMDB ratings',
+        'ratings.pointTitle': '{title}: me {personal} / TMDB {tmdb}',
+        'ratings.scores': 'Me {personal} · TMDB {tmdb}',
+        'ratings.higher': 'I liked these more than the crowd',
+        'ratings.lower': 'The crowd liked these more than I did',
+
+        'directors.empty': 'No director information yet',
+        'directors.summary': ({ count }) => `${plural(count, 'director', 'directors')}, sorted by titles watched`,
+        'directors.watched': '{count} watched',
+        'directors.inLibrary': ' · {count} in library',
+        'directors.average': 'avg {value}',
+        'person.back': '‹ All directors',
+        'person.tmdb': 'TMDB profile',
+        'person.watched': 'Watched',
+        'person.count': ({ count }) => plural(count, 'title', 'titles'),
+        'person.average': 'My average',
+        'person.first': 'First viewing',
+        'person.latest': 'Latest viewing',
+
+        'lists.empty': 'No lists yet. Create one with scripts/add_to_list.js',
+        'lists.count': ({ count }) => plural(count, 'title', 'titles'),
+        'lists.back': '‹ All lists',
+    },
+};
+
+// Shared by the gallery and the share pages under titles/: the saved choice, else the browser language.
+function detectLocale() {
+    try {
+        const stored = localStorage.getItem(LOCALE_STORAGE_KEY);
+        if (LOCALE_MESSAGES[stored]) {
+            return stored;
+        }
+    } catch (error) {
+        // Fall through to the browser language.
+    }
+    const preferred = (navigator.languages && navigator.languages[0]) || navigator.language || '';
+    return !preferred || preferred.toLowerCase().startsWith('zh') ? DEFAULT_LOCALE : 'en';
+}
+
+function translate(locale, key, params = {}) {
+    const message = LOCALE_MESSAGES[locale]?.[key] ?? LOCALE_MESSAGES[DEFAULT_LOCALE][key] ?? key;
+    if (typeof message === 'function') {
+        return message(params);
+    }
+    return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
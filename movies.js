@@ -1,9 +1,153 @@
 const MOVIE_DATA_URL = 'data/movies.json';
 const POSTER_BASE_URL = 'https://image.tmdb.org/t/p/w500';
+const BACKDROP_BASE_URL = 'https://image.tmdb.org/t/p/w780';
 const PLACEHOLDER_POSTER = 'movie_posters/placeholder.png';
+const TMDB_IMAGE_BASE_URL = 'https://image.tmdb.org/t/p';
+const POSTER_WIDTHS = [185, 342, 500];
+// Grid cells are at most ~280px wide; phones show two or three columns.
+const POSTER_SIZES = '(max-width: 480px) 45vw, (max-width: 768px) 30vw, 280px';
+const LOCAL_POSTER_PATTERN = /^movie_posters\/[\w.@-]+$/;
+const TITLE_PAGE_DIR = 'titles';
+const WEB_VIDEO_PLACEHOLDER = 'data:image/svg+xml,%3Csvg xmlns="http://www.w3.org/2000/svg" width="400" height="225"%3E%3Crect width="400" height="225" fill="%2300a1d6"/%3E%3Ctext x="50%25" y="50%25" font-size="48" fill="white" text-anchor="middle" dy=".3em"%3E▶%3C/text%3E%3C/svg%3E';
 
+const PINYIN_INITIALS = 'abcdefghjklmnopqrstwxyz';
+// First character of each initial in zh-Hans pinyin collation order.
+const PINYIN_BOUNDARIES = '阿八嚓哒妸发旮哈丌咔垃妈拏噢妑七呥仨他屲夕丫帀';
+const TRADITIONAL_CHARS = [
+    '丟並乾亂亞佈佔併來侖侶侷係俠俬倆倉個們倖倫偉側偵偽傑傘備傢傭傳債傷傾僅僑僕僞僥僱價儀儁億儈儉儘償優儲兇兌兒內兩冊冪凈凍凜',
+    '凱別刪則剋剎剛剝剮創剷劃劄劇劉劊劍劑勁動務勛勝勞勢勳勵勸勻匯區協卹卻卽厠厤厭厲參叄叢吳吶呂員唸問啓啞啟喚喪喫喬單喲嗆嗎嗚',
+    '嘆嘔嘗嘩嘯噁噓噴噸噹嚇嚐嚙嚥嚨嚮嚴囂囌囑囪國圍園圓圖團垻埰執堅堯報場塊塗塢塵塹墊墜墮墰墳墻墾壇壓壘壜壞壟壩壯壺壽夠夢夥夾',
+    '奧奪奬奮妝姦娛婁婦媽嬌嬰嬸孃孫學孿宮寀寢實寧審寫寬寵寶將專尋對導屆屍屜屢層屬岡峯島峽崑崗崙嵗嶄嶺嶼嶽巋巒巖帥師帳帶幀幟幣',
+    '幫幷幹幾庫廁廂廄廈廕廚廟廠廢廣廬廳弔張強彆彈彌彎彔彙彥彫彿後徑從復徵徹恆恥悅悶悽惡惱愛慄態慘慚慣慫慮慶慼慾憂憊憐憑憚憤憫',
+    '憲憶懇應懞懲懶懷懸懼懾戀戰戲戶扞拋拚挾捨捱捲掃掄掙掛採揀揚換揮損搖搗搧搶摟摯摳摺摻撈撐撓撣撥撫撲撻撾撿擁擄擇擊擋擔據擠擡',
+    '擣擬擯擰擱擲擴擺擻擾攆攏攔攙攜攝攢攣攤攪攬敍敎敗敘敵數斂斃斬斷於旂旣昇時晉晝暈暢暫曆曉曏曠曬書會朮東枱枴柵柺査桿條棄棊棗',
+    '棟棧棲楊楓業極榘榦榮構槍槓槳樁樂樑樓標樞樣樸樹橋機橢橫檔檢檯檸檻櫃櫥櫻欄權欽歎歐歡歲歷歸殘殭殲殺殻殼毀毆氈氣氫氾汎汙決沒',
+    '沖況泝洩洶涼淒淚淨淩淪淵淺渙減渦測渾湊湧湯準溝溫溼滄滅滌滙滬滯滲滷滾滿漁漚漢漣漬漲漸漿潑潔潛潤潰澀澆澇澗澤澱濁濃濕濘濛濟',
+    '濤濫濰濱濺濾瀉瀋瀕瀝瀰瀾灑灕灘灣灤災為烏烴無煉煙煥煩熒熱熾燈燒燙營燦燬燭燴燻燼爍爐爛爭爲爺爾牀牆牴牽犢犧狀狹狽猙猶獃獄獅',
+    '獎獨獰獲獵獸獺獻現琱琺瑣瑤瑩瑪環瓊甕產産畝畢畫異畵當疇疊痙痠痺瘋瘍瘓瘡瘧療癒癟癡癢癥癬癰癱發皁皚皺盃盜盞盡監盤盧盪眞眾睏',
+    '睜瞞矇矚矯硃硯碩確碼磚礎礙礦礫礬祕祿禍禦禮禱禿稅稈稜種稱穀積穎穢穩穫窩窪窮窯窺竄竅竈竊竪競筆筍箇箋箚節範築篩簍簑簡簽簾籃',
+    '籌籠籤籬籮籲粧粵糞糧糰糾紀約紅紉紋納紐純紗紙級紛紡紮細紳紹終絃組絆結絕絛絞絡絢給絨統絲絶絹綁綉綏綑經綜綠綢綫維綱網綳綴綵',
+    '綸綻綽綿緊緑緒緘線緝緞締緣編緩緬緯練緻縛縣縧縫縮縱縴縷總績繃織繕繞繡繩繪繫繭繳繹繼續纍纏纓纔纖纜缽罈罎罰罵罷羅羣羨義習翫',
+    '翹聖聞聯聰聲聳聶職聽聾肅脅脈脣脩脫脹腎腦腫腳腸膚膠膩膽膿臉臍臘臟臥臨臺與興舉舊舖舘艙艦艱艷茲荊莊莖莢華菸萊萬葉著葦葯葷蒐',
+    '蒼蓆蓋蓮蔔蔘蔣蔥蔭蕩蕪蕭薊薑薔薦薩薹藍藝藥藴藹蘆蘇蘊蘋蘭蘿處虛虜號虧蛻蝕蝦蝨蝸螞螢蟄蟬蟲蟻蠅蠍蠟蠱蠶蠻衆衊術衕衚衛衝衞衹',
+    '袷裏補裝裡製複褲襖襪襬襯襲覈見規覓視親覺覽觀觸訂訃計訊討訓訖託記訛訝訟訣訪設許訴診註証詐評詛詞詠詢詣試詩詫詭話該詳誅誇誌',
+    '認誕誘語誠誡誣誤誦誨說説誰課誹誼調諄談請諒論諜諧諮諱諷諸諺諾謀謂謄謅謊謎謗謙講謝謠謡謬謹謾譁證譏識譚譜譟譭譯議譴護譽讀變',
+    '讒讓讕讚谿豈豎豐豔豬貍貓貝貞負財貢貧貨販貪貫責貯貳貴貶買貸費貼貿賀賂賃賄資賈賊賒賓賜賞賠賢賣賤賦質賬賭賴賺購賽贅贈贊贍贏',
+    '贓贖贛贜趕趙趨跡踐踰踴蹟蹤躊躍躥軀車軋軌軍軒軟軸較載輓輔輕輛輝輥輩輪輯輸輻輾輿轄轅轉轍轎轟辦辭辮辯農迴逕這連週進遊運過達',
+    '違遙遜遞遠遡適遲遶遷選遺遼邁還邊邏郵鄉鄒鄖鄧鄭鄰鄲醖醜醞醣醫醬釀釁釋釐釘針釣釦釩釺鈅鈉鈍鈎鈔鈕鈞鈡鈣鈴鈾鉀鉅鉆鉑鉗鉚鉛鉢',
+    '鉤鉸鉻銀銅銑銘銜銥銳銷銹銻鋁鋅鋇鋒鋤鋪鋭鋸鋼錄錐錘錠錢錦錨錫錯録錳錶鍁鍊鍋鍍鍘鍛鍬鍵鍺鍼鍾鎂鎊鎌鎖鎚鎢鎬鎭鎮鎳鏇鏈鏟鏡鏽',
+    '鐐鐘鐮鐳鐵鑄鑑鑒鑰鑲鑷鑼鑽鑿長門閃閉開閏閑閒間閘閡閣閤閥閨閩閱閲閹閻闆闇闊闌闖關闡闢陝陞陣陰陳陸陽隊階隕際隨險隱隴隸隻雖',
+    '雙雛雜雞離難雲電霑霧靈靜鞏鞦韆韋韌韓韻響頁頂頃項順須頌預頑頒頓頗領頤頭頰頸頹頻頽顆題額顏顔願顛類顧顫顯顱顴風颱颳飄飛飢飯',
+    '飲飼飽飾餃餅養餌餒餓餘餞餡館餬餵餾饅饋饑饒饞馬馭馮馱馳馴駁駐駒駕駛駝駡駭駱駿騁騎騙騰騷騾驅驕驗驚驟驢骯髒體髮鬆鬍鬚鬥鬧鬨',
+    '鬱魚魯鮑鮮鯉鯨鰓鱉鱗鳥鳳鳴鴉鴕鴛鴦鴨鴻鴿鵑鵝鵬鵰鵲鶴鷄鷗鷹鹵鹹鹼鹽麗麥麪麫麯麴麵麼麽黃點黨黴鼕齊齋齒齡齣齧齲龍龐龔龜',
+].join('');
+const SIMPLIFIED_CHARS = [
+    '丢并干乱亚布占并来仑侣局系侠私俩仓个们幸伦伟侧侦伪杰伞备家佣传债伤倾仅侨仆伪侥雇价仪俊亿侩俭尽偿优储凶兑儿内两册幂净冻凛',
+    '凯别删则克刹刚剥剐创铲划札剧刘刽剑剂劲动务勋胜劳势勋励劝匀汇区协恤却即厕历厌厉参叁丛吴呐吕员念问启哑启唤丧吃乔单哟呛吗呜',
+    '叹呕尝哗啸恶嘘喷吨当吓尝啮咽咙向严嚣苏嘱囱国围园圆图团坝采执坚尧报场块涂坞尘堑垫坠堕坛坟墙垦坛压垒坛坏垄坝壮壶寿够梦伙夹',
+    '奥夺奖奋妆奸娱娄妇妈娇婴婶娘孙学孪宫采寝实宁审写宽宠宝将专寻对导届尸屉屡层属冈峰岛峡昆岗仑岁崭岭屿岳岿峦岩帅师帐带帧帜币',
+    '帮并干几库厕厢厩厦荫厨庙厂废广庐厅吊张强别弹弥弯录汇彦雕佛后径从复征彻恒耻悦闷凄恶恼爱栗态惨惭惯怂虑庆戚欲忧惫怜凭惮愤悯',
+    '宪忆恳应蒙惩懒怀悬惧慑恋战戏户捍抛拼挟舍挨卷扫抡挣挂采拣扬换挥损摇捣扇抢搂挚抠折掺捞撑挠掸拨抚扑挞挝捡拥掳择击挡担据挤抬',
+    '捣拟摈拧搁掷扩摆擞扰撵拢拦搀携摄攒挛摊搅揽叙教败叙敌数敛毙斩断于旗既升时晋昼晕畅暂历晓向旷晒书会术东台拐栅拐查杆条弃棋枣',
+    '栋栈栖杨枫业极矩干荣构枪杠桨桩乐梁楼标枢样朴树桥机椭横档检台柠槛柜橱樱栏权钦叹欧欢岁历归残僵歼杀壳壳毁殴毡气氢泛泛污决没',
+    '冲况溯泄汹凉凄泪净凌沦渊浅涣减涡测浑凑涌汤准沟温湿沧灭涤汇沪滞渗卤滚满渔沤汉涟渍涨渐浆泼洁潜润溃涩浇涝涧泽淀浊浓湿泞蒙济',
+    '涛滥潍滨溅滤泻沈濒沥弥澜洒漓滩湾滦灾为乌烃无炼烟焕烦荧热炽灯烧烫营灿毁烛烩熏烬烁炉烂争为爷尔床墙抵牵犊牺状狭狈狰犹呆狱狮',
+    '奖独狞获猎兽獭献现雕珐琐瑶莹玛环琼瓮产产亩毕画异画当畴叠痉酸痹疯疡痪疮疟疗愈瘪痴痒症癣痈瘫发皂皑皱杯盗盏尽监盘卢荡真众困',
+    '睁瞒蒙瞩矫朱砚硕确码砖础碍矿砾矾秘禄祸御礼祷秃税秆棱种称谷积颖秽稳获窝洼穷窑窥窜窍灶窃竖竞笔笋个笺札节范筑筛篓蓑简签帘篮',
+    '筹笼签篱箩吁妆粤粪粮团纠纪约红纫纹纳纽纯纱纸级纷纺扎细绅绍终弦组绊结绝绦绞络绚给绒统丝绝绢绑绣绥捆经综绿绸线维纲网绷缀彩',
+    '纶绽绰绵紧绿绪缄线缉缎缔缘编缓缅纬练致缚县绦缝缩纵纤缕总绩绷织缮绕绣绳绘系茧缴绎继续累缠缨才纤缆钵坛坛罚骂罢罗群羡义习玩',
+    '翘圣闻联聪声耸聂职听聋肃胁脉唇修脱胀肾脑肿脚肠肤胶腻胆脓脸脐腊脏卧临台与兴举旧铺馆舱舰艰艳兹荆庄茎荚华烟莱万叶着苇药荤搜',
+    '苍席盖莲卜参蒋葱荫荡芜萧蓟姜蔷荐萨苔蓝艺药蕴蔼芦苏蕴苹兰萝处虚虏号亏蜕蚀虾虱蜗蚂萤蛰蝉虫蚁蝇蝎蜡蛊蚕蛮众蔑术同胡卫冲卫只',
+    '夹里补装里制复裤袄袜摆衬袭核见规觅视亲觉览观触订讣计讯讨训讫托记讹讶讼诀访设许诉诊注证诈评诅词咏询诣试诗诧诡话该详诛夸志',
+    '认诞诱语诚诫诬误诵诲说说谁课诽谊调谆谈请谅论谍谐咨讳讽诸谚诺谋谓誊诌谎谜谤谦讲谢谣谣谬谨谩哗证讥识谭谱噪毁译议谴护誉读变',
+    '谗让谰赞溪岂竖丰艳猪狸猫贝贞负财贡贫货贩贪贯责贮贰贵贬买贷费贴贸贺赂赁贿资贾贼赊宾赐赏赔贤卖贱赋质账赌赖赚购赛赘赠赞赡赢',
+    '赃赎赣赃赶赵趋迹践逾踊迹踪踌跃蹿躯车轧轨军轩软轴较载挽辅轻辆辉辊辈轮辑输辐辗舆辖辕转辙轿轰办辞辫辩农回径这连周进游运过达',
+    '违遥逊递远溯适迟绕迁选遗辽迈还边逻邮乡邹郧邓郑邻郸酝丑酝糖医酱酿衅释厘钉针钓扣钒钎钥钠钝钩钞钮钧钟钙铃铀钾巨钻铂钳铆铅钵',
+    '钩铰铬银铜铣铭衔铱锐销锈锑铝锌钡锋锄铺锐锯钢录锥锤锭钱锦锚锡错录锰表锨炼锅镀铡锻锹键锗针钟镁镑镰锁锤钨镐镇镇镍旋链铲镜锈',
+    '镣钟镰镭铁铸鉴鉴钥镶镊锣钻凿长门闪闭开闰闲闲间闸阂阁合阀闺闽阅阅阉阎板暗阔阑闯关阐辟陕升阵阴陈陆阳队阶陨际随险隐陇隶只虽',
+    '双雏杂鸡离难云电沾雾灵静巩秋千韦韧韩韵响页顶顷项顺须颂预顽颁顿颇领颐头颊颈颓频颓颗题额颜颜愿颠类顾颤显颅颧风台刮飘飞饥饭',
+    '饮饲饱饰饺饼养饵馁饿余饯馅馆糊喂馏馒馈饥饶馋马驭冯驮驰驯驳驻驹驾驶驼骂骇骆骏骋骑骗腾骚骡驱骄验惊骤驴肮脏体发松胡须斗闹哄',
+    '郁鱼鲁鲍鲜鲤鲸鳃鳖鳞鸟凤鸣鸦鸵鸳鸯鸭鸿鸽鹃鹅鹏雕鹊鹤鸡鸥鹰卤咸碱盐丽麦面面曲曲面么么黄点党霉冬齐斋齿龄出啮龋龙庞龚龟',
+].join('');
+
+const pinyinCollator = new Intl.Collator('zh-Hans-CN-u-co-pinyin');
+const VIEWS = ['gallery', 'lists', 'stats', 'ratings', 'directors'];
+const LIST_PREVIEW_COUNT = 6;
+// TMDB averages from a handful of votes say little about the crowd.
+const RATINGS_MIN_VOTES = 20;
+const DISAGREEMENT_LIMIT = 10;
+const MEDIA_TYPES = ['movie', 'tv', 'web-video'];
+const SECTION_CONTAINERS = {
+    watching: 'watching-container',
+    wishlist: 'wishlist-container',
+    watched: 'movie-container',
+};
+const PAGE_SIZE = 48;
+const SORT_STORAGE_KEY = 'movie-gallery:sort';
+const PICK_STORAGE_KEY = 'movie-gallery:picks';
+// Keep in sync with PICK_RECENT_DAYS in scripts/pick_wishlist.js; movies.test.js checks that the two agree.
+const PICK_RECENT_DAYS = 14;
+const PICK_HISTORY_LIMIT = 100;
+const WISHLIST_PRIORITIES = ['must-see', 'normal', 'someday'];
+const WISHLIST_GROUPS = ['priority', 'recommender'];
+const SEARCH_PUNCTUATION = /[\s·・:：,，.。、!！?？'"“”‘’\-—_()（）《》「」]/g;
+
+let currentLocale = DEFAULT_LOCALE;
 let allMovies = [];
+let curatedLists = [];
+let dataGeneratedAt = null;
 let currentFilter = 'all';
+let searchQuery = '';
+let searchIndex = new Map();
+let simplifiedMap = null;
+let activeFacets = createEmptyFacets();
+let sortPreferences = {};
+let addedOrder = new Map();
+let cardCache = new Map();
+let sectionStates = {};
+let openEntryKey = null;
+let currentView = 'gallery';
+let watchedLayout = 'grid';
+let wishlistGroup = null;
+let statsYear = null;
+let watchedYear = null;
+let currentPerson = null;
+let currentList = null;
+let detailReturnFocus = null;
+let pickerState = { current: null, skipped: new Set() };
+
+// TMDB uses `cn` for Cantonese, which is not a valid BCP 47 tag.
+const LANGUAGE_CODE_ALIASES = { cn: 'yue' };
+const languageNameFormatters = new Map();
+const dateFormatters = new Map();
+
+const FACET_GROUPS = {
+    genre: {
+        key: 'genres',
+        mode: 'all',
+        getValues: movie => (Array.isArray(movie.tmdb?.genres) ? movie.tmdb.genres : []).map(genre => String(genre.id)),
+    },
+    decade: {
+        key: 'decades',
+        mode: 'any',
+        getValues: movie => {
+            const year = getReleaseYear(movie);
+            return year ? [String(Math.floor(year / 10) * 10)] : [];
+        },
+    },
+    language: {
+        key: 'languages',
+        mode: 'any',
+        getValues: movie => (movie.tmdb?.original_language ? [movie.tmdb.original_language] : []),
+    },
+    tag: {
+        key: 'tags',
+        mode: 'all',
+        getValues: movie => getTags(movie),
+    },
+};
+// Tag cloud chips grow with how often a tag is used, in this many steps.
+const TAG_WEIGHTS = 5;
 
 function formatDate(isoString) {
     if (!isoString) {
@@ -18,57 +162,291 @@ function formatDate(isoString) {
     return date.toISOString().split('T')[0];
 }
 
+function t(key, params = {}) {
+    return translate(currentLocale, key, params);
+}
+
+function getDateFormatter(options) {
+    const key = `${currentLocale}:${JSON.stringify(options)}`;
+    if (!dateFormatters.has(key)) {
+        dateFormatters.set(key, new Intl.DateTimeFormat(currentLocale, { ...options, timeZone: 'UTC' }));
+    }
+    return dateFormatters.get(key);
+}
+
+// Dates stay YYYY-MM-DD everywhere internally; only what is shown follows the locale.
+function formatDisplayDate(isoDate) {
+    if (!isoDate) {
+        return '';
+    }
+    const date = new Date(`${isoDate.slice(0, 10)}T00:00:00Z`);
+    return Number.isNaN(date.getTime()) ? isoDate : getDateFormatter({ dateStyle: 'medium' }).format(date);
+}
+
+function formatMonthName(monthIndex) {
+    return getDateFormatter({ month: 'short' }).format(new Date(Date.UTC(2000, monthIndex, 1)));
+}
+
+// 2024-01-01 was a Monday, matching the heatmap's Monday-first rows.
+function formatWeekdayName(dayIndex) {
+    return getDateFormatter({ weekday: 'narrow' }).format(new Date(Date.UTC(2024, 0, 1 + dayIndex)));
+}
+
+function getLanguageName(code) {
+    if (typeof Intl.DisplayNames !== 'function') {
+        return code;
+    }
+    if (!languageNameFormatters.has(currentLocale)) {
+        languageNameFormatters.set(currentLocale, new Intl.DisplayNames([currentLocale], { type: 'language' }));
+    }
+    try {
+        return languageNameFormatters.get(currentLocale).of(code) || code;
+    } catch (error) {
+        return code;
+    }
+}
+
 function getReleaseDate(movie) {
     return movie.tmdb?.release_date || null;
 }
 
-function getWatchDate(movie) {
-    if (Array.isArray(movie.watchDates) && movie.watchDates.length) {
-        return movie.watchDates[0];
+function getReleaseYear(movie) {
+    const releaseDate = formatDate(getReleaseDate(movie));
+    return releaseDate ? Number(releaseDate.slice(0, 4)) : null;
+}
+
+function getFormattedWatchDates(movie) {
+    const dates = Array.isArray(movie.watchDates)
+        ? movie.watchDates
+        : movie.watchDate
+            ? [movie.watchDate]
+            : [];
+    return dates.map(date => formatDate(date)).filter(Boolean);
+}
+
+function getLatestWatchDate(movie) {
+    const dates = getFormattedWatchDates(movie);
+    return dates.length ? dates.reduce((latest, date) => (date > latest ? date : latest)) : null;
+}
+
+function getFirstWatchDate(movie) {
+    const dates = getFormattedWatchDates(movie);
+    return dates.length ? dates.reduce((first, date) => (date < first ? date : first)) : null;
+}
+
+function getSection(movie) {
+    const status = (movie.status || '').toLowerCase();
+    if (status === 'watching' || status === 'in-progress' || status === 'ongoing') {
+        return 'watching';
+    }
+    if (status === 'wishlist' || status === 'planned') {
+        return 'wishlist';
+    }
+    return 'watched';
+}
+
+// Older snapshots stored director names only; newer ones keep the TMDB person ID too.
+function getDirectors(movie) {
+    const directors = Array.isArray(movie.tmdb?.directors) ? movie.tmdb.directors : [];
+    return directors
+        .map(director => (typeof director === 'string' ? { id: null, name: director } : director))
+        .filter(director => director && director.name);
+}
+
+// Joins the seasons TMDB lists with the progress kept in the library. Shows without
+// recorded progress only get a bar while they are being watched.
+function getTvProgress(movie) {
+    const tmdbSeasons = Array.isArray(movie.tmdb?.seasons) ? movie.tmdb.seasons : [];
+    if (movie.mediaType !== 'tv' || !tmdbSeasons.length) {
+        return null;
+    }
+    const recorded = Array.isArray(movie.seasons) ? movie.seasons : [];
+    if (!recorded.length && movie.status !== 'watching') {
+        return null;
     }
-    return movie.watchDate || null;
+    const seasons = tmdbSeasons.map(season => {
+        const progress = recorded.find(item => item.season === season.season_number) || {};
+        return {
+            number: season.season_number,
+            name: season.name,
+            total: season.episode_count || 0,
+            watched: Math.min(progress.episodesWatched || 0, season.episode_count || Infinity),
+            watchDates: Array.isArray(progress.watchDates) ? progress.watchDates : [],
+            rating: typeof progress.rating === 'number' ? progress.rating : null,
+        };
+    });
+    const total = seasons.reduce((sum, season) => sum + season.total, 0);
+    const watched = seasons.reduce((sum, season) => sum + season.watched, 0);
+    const current = [...seasons].reverse().find(season => season.watched > 0) || seasons[0];
+    return total ? { total, watched, current, seasons } : null;
+}
+
+function getPersonKey(person) {
+    return person.id ? String(person.id) : `name:${person.name}`;
 }
 
-function sortMoviesByReleaseDate(movies) {
-    return [...movies].sort((a, b) => {
-        const dateA = formatDate(getReleaseDate(a));
-        const dateB = formatDate(getReleaseDate(b));
+// Picks the snapshot's per-language TMDB metadata that best matches the interface locale.
+function getLocalizedTmdb(movie) {
+    const localized = movie.tmdb?.localized;
+    if (!localized) {
+        return null;
+    }
+    const language = currentLocale.split('-')[0];
+    const key = localized[currentLocale]
+        ? currentLocale
+        : Object.keys(localized).find(candidate => candidate.split('-')[0] === language);
+    return key ? localized[key] : null;
+}
 
-        if (dateA && dateB) {
-            if (dateA > dateB) return -1;
-            if (dateA < dateB) return 1;
-        } else if (dateA) {
-            return -1;
-        } else if (dateB) {
-            return 1;
+function getDisplayTitle(movie) {
+    // Library titles are written by hand in Chinese, so only other locales prefer TMDB's translation.
+    if (currentLocale !== DEFAULT_LOCALE && movie.tmdb) {
+        const localizedTitle = getLocalizedTmdb(movie)?.title
+            || (movie.tmdb.original_language === currentLocale.split('-')[0] ? movie.tmdb.original_title : null);
+        if (localizedTitle) {
+            return localizedTitle;
         }
+    }
+    return movie.title || movie.tmdb?.title || movie.tmdb?.original_title || movie.name || '';
+}
 
-        const ratingA = typeof a.rating === 'number' ? a.rating : -Infinity;
-        const ratingB = typeof b.rating === 'number' ? b.rating : -Infinity;
+function getOverview(movie) {
+    return getLocalizedTmdb(movie)?.overview || movie.tmdb?.overview || null;
+}
 
-        if (ratingA > ratingB) return -1;
-        if (ratingA < ratingB) return 1;
+// Builds a comparator that orders by a value descending (or ascending) and
+// always keeps entries without a value at the end.
+function compareByValue(getValue, direction = 'desc') {
+    return (a, b) => {
+        const valueA = getValue(a);
+        const valueB = getValue(b);
+        const hasA = valueA !== null && typeof valueA !== 'undefined';
+        const hasB = valueB !== null && typeof valueB !== 'undefined';
 
-        return String(a.title || a.name || '').localeCompare(String(b.title || b.name || ''));
-    });
+        if (hasA && hasB) {
+            if (valueA > valueB) return direction === 'desc' ? -1 : 1;
+            if (valueA < valueB) return direction === 'desc' ? 1 : -1;
+            return 0;
+        }
+        if (hasA) return -1;
+        if (hasB) return 1;
+        return 0;
+    };
 }
 
-function sortMoviesByWatchDate(movies) {
-    return [...movies].sort((a, b) => {
-        const dateA = formatDate(getWatchDate(a));
-        const dateB = formatDate(getWatchDate(b));
+function compareByTitle(a, b) {
+    return pinyinCollator.compare(getDisplayTitle(a), getDisplayTitle(b));
+}
 
-        if (dateA && dateB) {
-            if (dateA > dateB) return -1;
-            if (dateA < dateB) return 1;
-        } else if (dateA) {
-            return -1;
-        } else if (dateB) {
-            return 1;
+function chainComparators(...comparators) {
+    return (a, b) => {
+        for (const comparator of comparators) {
+            const result = comparator(a, b);
+            if (result !== 0) {
+                return result;
+            }
         }
+        return 0;
+    };
+}
 
-        return (a.title || '').localeCompare(b.title || '');
-    });
+const getPersonalRating = movie => (typeof movie.rating === 'number' ? movie.rating : null);
+const getTmdbRating = movie => (typeof movie.tmdb?.vote_average === 'number' ? movie.tmdb.vote_average : null);
+const getRuntime = movie => (typeof movie.tmdb?.runtime === 'number' && movie.tmdb.runtime > 0 ? movie.tmdb.runtime : null);
+const getAddedOrder = movie => (addedOrder.has(movie) ? addedOrder.get(movie) : null);
+const getAddedAt = movie => (/^\d{4}-\d{2}-\d{2}$/.test(movie.addedAt || '') ? movie.addedAt : null);
+const getPriority = movie => (WISHLIST_PRIORITIES.includes(movie.priority) ? movie.priority : 'normal');
+const getPriorityRank = movie => WISHLIST_PRIORITIES.indexOf(getPriority(movie));
+
+// Entries from before `addedAt` was recorded have waited longest of all; among
+// them the library order decides, as library.json keeps the newest at the top.
+const compareByWaiting = chainComparators(
+    compareByValue(movie => (getAddedAt(movie) ? 1 : 0), 'asc'),
+    compareByValue(getAddedAt, 'asc'),
+    compareByValue(getAddedOrder),
+    compareByTitle,
+);
+
+const SORT_OPTIONS = {
+    'watch-latest': {
+        comparator: chainComparators(compareByValue(getLatestWatchDate), compareByTitle),
+    },
+    'watch-first': {
+        comparator: chainComparators(compareByValue(getFirstWatchDate), compareByTitle),
+    },
+    release: {
+        comparator: chainComparators(
+            compareByValue(movie => formatDate(getReleaseDate(movie))),
+            compareByValue(getPersonalRating),
+            compareByTitle,
+        ),
+    },
+    rating: {
+        comparator: chainComparators(compareByValue(getPersonalRating), compareByValue(getTmdbRating), compareByTitle),
+    },
+    'tmdb-rating': {
+        comparator: chainComparators(compareByValue(getTmdbRating), compareByValue(getPersonalRating), compareByTitle),
+    },
+    runtime: {
+        comparator: chainComparators(compareByValue(getRuntime), compareByTitle),
+    },
+    title: {
+        comparator: compareByTitle,
+    },
+    added: {
+        // library.json keeps the newest additions at the top of each list.
+        comparator: chainComparators(compareByValue(getAddedOrder, 'asc'), compareByTitle),
+    },
+    'added-date': {
+        // Entries without `addedAt` fall back to the library order, after the dated ones.
+        comparator: chainComparators(compareByValue(getAddedAt), compareByValue(getAddedOrder, 'asc'), compareByTitle),
+    },
+    waiting: {
+        sections: ['wishlist'],
+        comparator: compareByWaiting,
+    },
+    priority: {
+        sections: ['wishlist'],
+        comparator: chainComparators(compareByValue(getPriorityRank, 'asc'), compareByWaiting),
+    },
+};
+
+const DEFAULT_SORTS = {
+    watching: 'release',
+    wishlist: 'release',
+    watched: 'watch-latest',
+};
+
+function getSortKeys(section) {
+    return Object.keys(SORT_OPTIONS).filter(key => !SORT_OPTIONS[key].sections || SORT_OPTIONS[key].sections.includes(section));
+}
+
+function sortMovies(movies, sortKey) {
+    const option = SORT_OPTIONS[sortKey] || SORT_OPTIONS.release;
+    return [...movies].sort(option.comparator);
+}
+
+function loadSortPreferences() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(SORT_STORAGE_KEY) || '{}');
+        const preferences = { ...DEFAULT_SORTS };
+        Object.keys(DEFAULT_SORTS).forEach(section => {
+            if (getSortKeys(section).includes(stored?.[section])) {
+                preferences[section] = stored[section];
+            }
+        });
+        return preferences;
+    } catch (error) {
+        return { ...DEFAULT_SORTS };
+    }
+}
+
+function saveSortPreferences(preferences) {
+    try {
+        localStorage.setItem(SORT_STORAGE_KEY, JSON.stringify(preferences));
+    } catch (error) {
+        console.warn('Unable to persist sort preferences:', error);
+    }
 }
 
 async function fetchMoviesFromList() {
@@ -80,6 +458,8 @@ async function fetchMoviesFromList() {
         }
 
         const data = await response.json();
+        dataGeneratedAt = data.generatedAt || null;
+        curatedLists = Array.isArray(data.lists) ? data.lists : [];
         return data.items || [];
     } catch (error) {
         console.error('Error fetching movies:', error);
@@ -97,6 +477,252 @@ function filterMoviesByType(movies, filterType) {
     });
 }
 
+function toSimplified(text) {
+    if (!simplifiedMap) {
+        simplifiedMap = new Map();
+        const traditional = [...TRADITIONAL_CHARS];
+        const simplified = [...SIMPLIFIED_CHARS];
+        traditional.forEach((char, index) => simplifiedMap.set(char, simplified[index]));
+    }
+    return [...text].map(char => simplifiedMap.get(char) || char).join('');
+}
+
+function getPinyinInitial(char) {
+    if (!/[㐀-鿿]/.test(char)) {
+        return char;
+    }
+    for (let i = PINYIN_BOUNDARIES.length - 1; i >= 0; i -= 1) {
+        if (pinyinCollator.compare(char, PINYIN_BOUNDARIES[i]) >= 0) {
+            return PINYIN_INITIALS[i];
+        }
+    }
+    return '';
+}
+
+function normaliseSearchText(text) {
+    return toSimplified(String(text || '')).toLowerCase().replace(SEARCH_PUNCTUATION, '');
+}
+
+function getTags(movie) {
+    return Array.isArray(movie.tags) ? movie.tags.filter(tag => typeof tag === 'string' && tag) : [];
+}
+
+function getSearchFields(movie) {
+    return [
+        movie.title,
+        movie.tmdb?.title,
+        movie.tmdb?.original_title,
+        ...Object.values(movie.tmdb?.localized || {}).map(entry => entry?.title),
+        ...(movie.tmdb?.alternative_titles || []),
+        ...getDirectors(movie).map(director => director.name),
+        movie.note,
+        movie.creator,
+        ...getTags(movie),
+    ].filter(Boolean);
+}
+
+function buildSearchIndex(movies) {
+    const index = new Map();
+    movies.forEach(movie => {
+        const fields = getSearchFields(movie).map(normaliseSearchText);
+        index.set(movie, {
+            text: fields.join('\n'),
+            initials: fields.map(field => [...field].map(getPinyinInitial).join('')).join('\n'),
+        });
+    });
+    return index;
+}
+
+function filterMoviesBySearch(movies, query) {
+    const normalisedQuery = normaliseSearchText(query);
+    if (!normalisedQuery) {
+        return movies;
+    }
+    const matchInitials = /^[a-z0-9]+$/.test(normalisedQuery);
+    return movies.filter(movie => {
+        const entry = searchIndex.get(movie);
+        if (!entry) {
+            return false;
+        }
+        return entry.text.includes(normalisedQuery)
+            || (matchInitials && entry.initials.includes(normalisedQuery));
+    });
+}
+
+function createEmptyFacets() {
+    return {
+        genres: [],
+        decades: [],
+        languages: [],
+        tags: [],
+        ratingMin: null,
+        ratingMax: null,
+        cinemaOnly: false,
+    };
+}
+
+function countActiveFacets(facets) {
+    return facets.genres.length
+        + facets.decades.length
+        + facets.languages.length
+        + facets.tags.length
+        + (facets.ratingMin !== null || facets.ratingMax !== null ? 1 : 0)
+        + (facets.cinemaOnly ? 1 : 0);
+}
+
+function matchesFacets(movie, facets, skipGroup = null) {
+    const matchesGroups = Object.entries(FACET_GROUPS).every(([group, { key, mode, getValues }]) => {
+        const selected = facets[key];
+        if (group === skipGroup || !selected.length) {
+            return true;
+        }
+        const values = getValues(movie);
+        return mode === 'all'
+            ? selected.every(value => values.includes(value))
+            : selected.some(value => values.includes(value));
+    });
+
+    if (!matchesGroups) {
+        return false;
+    }
+
+    if (facets.ratingMin !== null || facets.ratingMax !== null) {
+        if (typeof movie.rating !== 'number') {
+            return false;
+        }
+        if (facets.ratingMin !== null && movie.rating < facets.ratingMin) {
+            return false;
+        }
+        if (facets.ratingMax !== null && movie.rating > facets.ratingMax) {
+            return false;
+        }
+    }
+
+    return !facets.cinemaOnly || movie.inCinema === true;
+}
+
+function filterMoviesByFacets(movies, facets) {
+    if (!countActiveFacets(facets)) {
+        return movies;
+    }
+    return movies.filter(movie => matchesFacets(movie, facets));
+}
+
+function getFacetLabel(group, value, movies) {
+    if (group === 'genre') {
+        for (const movie of movies) {
+            const genre = (movie.tmdb?.genres || []).find(item => String(item.id) === value);
+            if (genre) {
+                return genre.name;
+            }
+        }
+        return value;
+    }
+    if (group === 'decade') {
+        return t('facet.decadeValue', { decade: value });
+    }
+    if (group === 'language') {
+        return getLanguageName(LANGUAGE_CODE_ALIASES[value] || value);
+    }
+    return value;
+}
+
+function collectFacetOptions(movies) {
+    const options = {};
+    Object.entries(FACET_GROUPS).forEach(([group, { getValues }]) => {
+        const totals = new Map();
+        movies.forEach(movie => {
+            getValues(movie).forEach(value => totals.set(value, (totals.get(value) || 0) + 1));
+        });
+        const values = [...totals.keys()];
+        if (group === 'decade') {
+            values.sort((a, b) => Number(b) - Number(a));
+        } else if (group === 'tag') {
+            values.sort(pinyinCollator.compare);
+        } else {
+            values.sort((a, b) => totals.get(b) - totals.get(a));
+        }
+        const maxTotal = Math.max(1, ...totals.values());
+        options[group] = values.map(value => ({
+            value,
+            label: getFacetLabel(group, value, movies),
+            weight: Math.ceil((totals.get(value) / maxTotal) * TAG_WEIGHTS),
+        }));
+    });
+    return options;
+}
+
+function countFacetValues(movies, group) {
+    const { mode, getValues } = FACET_GROUPS[group];
+    const counts = new Map();
+    movies
+        .filter(movie => matchesFacets(movie, activeFacets, mode === 'any' ? group : null))
+        .forEach(movie => {
+            getValues(movie).forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+        });
+    return counts;
+}
+
+function renderFacetPanel(movies) {
+    const panel = document.getElementById('facet-panel');
+    if (!panel) {
+        return;
+    }
+
+    const options = collectFacetOptions(allMovies);
+
+    Object.entries(FACET_GROUPS).forEach(([group, { key }]) => {
+        const container = panel.querySelector(`.facet-options[data-facet="${group}"]`);
+        if (!container) {
+            return;
+        }
+        const counts = countFacetValues(movies, group);
+        container.innerHTML = html`${options[group].map(({ value, label, weight }) => {
+            const count = counts.get(value) || 0;
+            const active = activeFacets[key].includes(value);
+            const weightClass = group === 'tag' ? ` tag-weight-${weight}` : '';
+            return html`<button type="button" class="facet-chip${weightClass}${active ? ' active' : ''}" data-value="${value}" ${!count && !active ? html`disabled` : ''}>${label}<span class="facet-count">${count}</span></button>`;
+        })}`;
+        container.closest('.facet-group').hidden = !options[group].length;
+    });
+
+    const cinemaCount = document.getElementById('cinema-count');
+    if (cinemaCount) {
+        const facetsWithCinema = { ...activeFacets, cinemaOnly: true };
+        cinemaCount.textContent = movies.filter(movie => matchesFacets(movie, facetsWithCinema)).length;
+    }
+
+    const toggle = document.getElementById('facet-toggle');
+    if (toggle) {
+        const activeCount = countActiveFacets(activeFacets);
+        toggle.textContent = activeCount ? t('facet.toggleActive', { count: activeCount }) : t('facet.toggle');
+        toggle.classList.toggle('active', activeCount > 0);
+    }
+}
+
+function getTmdbUrl(movie) {
+    if (!movie.id || movie.mediaType === 'web-video') {
+        return null;
+    }
+    const mediaType = movie.mediaType === 'tv' ? 'tv' : 'movie';
+    return `https://www.themoviedb.org/${mediaType}/${movie.id}`;
+}
+
+// Static share pages from scripts/build_pages.js; keep in sync with getTitlePagePath() in scripts/lib/site.js.
+function getTitlePageUrl(movie) {
+    const id = String(movie.id).replace(/[^\w-]/g, '') || 'untitled';
+    return `${TITLE_PAGE_DIR}/${movie.mediaType || 'movie'}-${id}.html`;
+}
+
+// TMDB numbers movies and TV shows separately, so an id alone can match two entries.
+function getEntryKey(movie) {
+    return `${movie.mediaType || 'movie'}:${movie.id}`;
+}
+
+function findMovieByKey(key) {
+    return allMovies.find(movie => getEntryKey(movie) === key) || null;
+}
+
 function getPlatformIcon(platform) {
     const icons = {
         'bilibili': 'B',
@@ -121,159 +747,2036 @@ function getPlatformColor(platform) {
     return colors[platform] || '#666';
 }
 
-function renderMovies(movies) {
-    const watchingContainer = document.getElementById('watching-container');
-    const watchingEmpty = document.querySelector('#watching-section .empty-message');
-    const wishlistContainer = document.getElementById('wishlist-container');
-    const wishlistEmpty = document.querySelector('#wishlist-section .empty-message');
-    const watchedContainer = document.getElementById('movie-container');
-    const watchedEmpty = document.querySelector('#watched-section .empty-message');
+// Markup produced by `html` is trusted; every interpolated value is escaped unless
+// it is itself an `html` result (or an array of them).
+class SafeHtml {
+    constructor(value) {
+        this.value = value;
+    }
 
-    [watchingContainer, wishlistContainer, watchedContainer].forEach(container => {
-        if (container) {
-            container.innerHTML = '';
+    toString() {
+        return this.value;
+    }
+}
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+function renderHtmlValue(value) {
+    if (value === null || typeof value === 'undefined' || value === false) {
+        return '';
+    }
+    if (Array.isArray(value)) {
+        return value.map(renderHtmlValue).join('');
+    }
+    return value instanceof SafeHtml ? value.value : escapeHtml(value);
+}
+
+function html(strings, ...values) {
+    return new SafeHtml(strings.reduce((markup, string, index) => markup + renderHtmlValue(values[index - 1]) + string));
+}
+
+// Only http(s) links from the data file may reach href/src attributes.
+function safeUrl(url, fallback = '#') {
+    if (typeof url !== 'string' || !url.trim()) {
+        return fallback;
+    }
+    try {
+        const parsed = new URL(url.trim(), window.location.href);
+        return parsed.protocol === 'http:' || parsed.protocol === 'https:' ? parsed.href : fallback;
+    } catch (error) {
+        return fallback;
+    }
+}
+
+function createElement(tag, attributes = {}, children = []) {
+    const element = document.createElement(tag);
+    Object.entries(attributes).forEach(([name, value]) => {
+        if (value === null || typeof value === 'undefined' || value === false) {
+            return;
+        }
+        if (name === 'className') {
+            element.className = value;
+        } else if (name === 'style') {
+            Object.assign(element.style, value);
+        } else {
+            element.setAttribute(name, value === true ? '' : String(value));
         }
     });
+    children.flat().forEach(child => {
+        if (child === null || typeof child === 'undefined' || child === false || child === '') {
+            return;
+        }
+        element.append(child instanceof Node ? child : String(child));
+    });
+    return element;
+}
 
-    const filteredMovies = filterMoviesByType(movies, currentFilter);
+function getPosterUrl(movie) {
+    if (movie.mediaType === 'web-video') {
+        // Use a solid color placeholder if no cover URL
+        return safeUrl(movie.coverUrl, WEB_VIDEO_PLACEHOLDER);
+    }
+    const posterPath = movie.tmdb?.poster_path || movie.tmdb?.backdrop_path || null;
+    return posterPath ? `${POSTER_BASE_URL}${posterPath}` : PLACEHOLDER_POSTER;
+}
 
-    const watchingMovies = filteredMovies.filter(movie => {
-        const status = (movie.status || '').toLowerCase();
-        return status === 'watching' || status === 'in-progress' || status === 'ongoing';
-    });
+function getLocalPoster(movie) {
+    const { src, srcset } = movie.localPoster || {};
+    if (typeof src !== 'string' || !LOCAL_POSTER_PATTERN.test(src)) {
+        return null;
+    }
+    const candidates = typeof srcset === 'string' ? srcset.split(',').map(candidate => candidate.trim().split(/\s+/)[0]) : [];
+    return { src, srcset: candidates.length && candidates.every(path => LOCAL_POSTER_PATTERN.test(path)) ? srcset : null };
+}
+
+// Mirrored copies from scripts/mirror_posters.js first, then the original host, then the placeholder.
+function getPosterSources(movie) {
+    const posterPath = movie.mediaType === 'web-video' ? null : movie.tmdb?.poster_path || movie.tmdb?.backdrop_path;
+    const remote = {
+        src: getPosterUrl(movie),
+        srcset: posterPath ? POSTER_WIDTHS.map(width => `${TMDB_IMAGE_BASE_URL}/w${width}${posterPath} ${width}w`).join(', ') : null,
+    };
+    const sources = [getLocalPoster(movie), remote, { src: PLACEHOLDER_POSTER, srcset: null }].filter(Boolean);
+    return sources.filter((source, index) => sources.findIndex(other => other.src === source.src) === index);
+}
 
-    const wishlistMovies = filteredMovies.filter(movie => {
-        const status = (movie.status || '').toLowerCase();
-        return status === 'wishlist' || status === 'planned';
+function createPosterImage(movie, alt) {
+    const [first, ...fallbacks] = getPosterSources(movie);
+    const image = createElement('img', {
+        src: first.src,
+        srcset: first.srcset,
+        sizes: first.srcset && POSTER_SIZES,
+        alt,
+        loading: 'lazy',
+    });
+    image.addEventListener('error', () => {
+        const next = fallbacks.shift();
+        if (!next) {
+            return;
+        }
+        if (next.srcset) {
+            image.srcset = next.srcset;
+            image.sizes = POSTER_SIZES;
+        } else {
+            image.removeAttribute('srcset');
+            image.removeAttribute('sizes');
+        }
+        image.src = next.src;
     });
+    return image;
+}
+
+function formatWaitingTime(addedAt) {
+    const days = getDaysSince(addedAt);
+    if (days < 1) {
+        return t('wishlist.addedToday');
+    }
+    if (days < 30) {
+        return t('wishlist.waitingDays', { count: days });
+    }
+    if (days < 365) {
+        return t('wishlist.waitingMonths', { count: Math.floor(days / 30) });
+    }
+    return t('wishlist.waitingYears', { count: Math.floor(days / 365) });
+}
+
+function createMovieCard(movie, { viewingDate = null, isRewatch = false } = {}) {
+    const isWebVideo = movie.mediaType === 'web-video';
+    const title = getDisplayTitle(movie) || 'Untitled';
+    const personalRating = getPersonalRating(movie);
+    const tmdbRating = isWebVideo ? null : getTmdbRating(movie);
+    const releaseDate = isWebVideo ? null : formatDate(getReleaseDate(movie));
+    const [primaryWatchDate, ...extraWatchDates] = viewingDate ? [viewingDate] : getFormattedWatchDates(movie);
+    const progress = viewingDate ? null : getTvProgress(movie);
+    const isWishlist = getSection(movie) === 'wishlist';
+    const priority = isWishlist ? getPriority(movie) : 'normal';
+    const addedAt = isWishlist ? getAddedAt(movie) : null;
+
+    return createElement('div', { className: 'movie-item', 'data-id': getEntryKey(movie) }, [
+        createElement('a', { className: 'poster-wrapper', href: getTitlePageUrl(movie) }, [
+            createPosterImage(movie, title),
+            createElement('div', { className: 'badge-row' }, [
+                personalRating !== null && createElement('span', { className: 'rating-badge', title: t('detail.myRating') }, [
+                    createElement('small', {}, [t('card.myScore')]),
+                    personalRating.toFixed(1),
+                ]),
+                tmdbRating !== null && createElement('span', { className: 'rating-badge tmdb-badge', title: t('detail.tmdbRating') }, [
+                    createElement('small', {}, ['TMDB']),
+                    tmdbRating.toFixed(1),
+                ]),
+                !isWebVideo && movie.inCinema && createElement('span', { className: 'cinema-badge', title: t('card.cinema') }, ['🎦']),
+                isWebVideo && movie.platform && createElement('span', {
+                    className: 'platform-badge',
+                    style: { backgroundColor: getPlatformColor(movie.platform) },
+                    title: movie.platform,
+                }, [getPlatformIcon(movie.platform)]),
+                isRewatch && createElement('span', { className: 'rewatch-badge', title: t('card.rewatch') }, [t('card.rewatch')]),
+                priority !== 'normal' && createElement('span', { className: `priority-badge priority-${priority}`, title: t('detail.priority') }, [t(`priority.${priority}`)]),
+            ]),
+        ]),
+        createElement('p', {}, [title]),
+        releaseDate && createElement('p', { className: 'release-date' }, [t('card.release', { date: formatDisplayDate(releaseDate) })]),
+        isWebVideo && movie.creator && createElement('p', { className: 'creator-info' }, [t('card.creator', { name: movie.creator })]),
+        isWebVideo && movie.duration && createElement('p', { className: 'duration-info' }, [t('card.duration', { duration: movie.duration })]),
+        progress && createElement('div', {
+            className: 'tv-progress',
+            role: 'progressbar',
+            'aria-valuemin': 0,
+            'aria-valuemax': progress.total,
+            'aria-valuenow': progress.watched,
+            title: t('card.progressTitle', { watched: progress.watched, total: progress.total }),
+        }, [
+            createElement('span', { className: 'tv-progress-bar', style: { width: `${(progress.watched / progress.total) * 100}%` } }),
+        ]),
+        progress && createElement('p', { className: 'tv-progress-label' }, [
+            t('card.progress', { season: progress.current.number, watched: progress.current.watched, total: progress.current.total }),
+        ]),
+        primaryWatchDate && createElement('p', { className: 'watch-date' }, [t('card.watched', { date: formatDisplayDate(primaryWatchDate) })]),
+        extraWatchDates.length > 0 && createElement('p', { className: 'watch-dates' }, [t('card.rewatched', { dates: extraWatchDates.map(formatDisplayDate).join(t('list.separator')) })]),
+        addedAt && createElement('p', { className: 'waiting-info', title: t('card.added', { date: formatDisplayDate(addedAt) }) }, [formatWaitingTime(addedAt)]),
+        movie.recommendedBy && createElement('p', { className: 'recommended-by' }, [t('card.recommendedBy', { name: movie.recommendedBy })]),
+        movie.note && createElement('p', { className: 'watch-note' }, [movie.note]),
+    ]);
+}
+
+// Cards are built once per entry (and per viewing in the timeline) and reused
+// across filter changes, so toggling a filter only moves existing nodes around.
+function getMovieCard(movie, options = {}) {
+    const key = options.key || getEntryKey(movie);
+    if (!cardCache.has(key)) {
+        cardCache.set(key, createMovieCard(movie, options));
+    }
+    return cardCache.get(key);
+}
+
+function getSectionElements(section) {
+    return {
+        container: document.getElementById(SECTION_CONTAINERS[section]),
+        emptyMessage: document.querySelector(`#${section}-section .empty-message`),
+        loadMoreButton: document.querySelector(`.load-more[data-section="${section}"]`),
+    };
+}
 
-    const watchedMovies = filteredMovies.filter(movie => {
-        return !watchingMovies.includes(movie) && !wishlistMovies.includes(movie);
+function buildTimelineEntries(movies) {
+    const viewings = [];
+    const undated = [];
+    movies.forEach(movie => {
+        const dates = [...getFormattedWatchDates(movie)].sort();
+        if (!dates.length) {
+            undated.push(movie);
+        }
+        // Two viewings can share a date (or normalise to the same one), so the index keeps keys unique.
+        dates.forEach((date, index) => viewings.push({
+            key: `${getEntryKey(movie)}@${date}#${index}`,
+            movie,
+            viewingDate: date,
+            isRewatch: index > 0,
+            group: date.slice(0, 7),
+        }));
     });
+    viewings.sort((a, b) => b.viewingDate.localeCompare(a.viewingDate) || compareByTitle(a.movie, b.movie));
 
-    const renderList = (container, emptyMessageEl, list, sortMode) => {
-        if (!container || !emptyMessageEl) {
-            return;
+    return [
+        ...viewings,
+        ...sortMovies(undated, 'title').map(movie => ({ key: getEntryKey(movie), movie, group: 'undated' })),
+    ];
+}
+
+function paintTimeline(container, state) {
+    const groupCounts = new Map();
+    state.entries.forEach(({ group }) => groupCounts.set(group, (groupCounts.get(group) || 0) + 1));
+
+    const fragment = document.createDocumentFragment();
+    let yearSection = null;
+    let currentYear = null;
+    let currentGroup = null;
+    let grid = null;
+
+    state.entries.slice(0, state.visible).forEach(entry => {
+        const year = entry.group === 'undated' ? 'undated' : entry.group.slice(0, 4);
+        if (year !== currentYear) {
+            yearSection = createElement('section', { className: 'timeline-year' }, [
+                createElement('h3', { className: 'timeline-year-title' }, [year === 'undated' ? t('timeline.undated') : year]),
+            ]);
+            fragment.append(yearSection);
+            currentYear = year;
+            currentGroup = null;
         }
+        if (entry.group !== currentGroup) {
+            grid = createElement('div', { className: 'movie-grid' });
+            yearSection.append(entry.group === 'undated'
+                ? grid
+                : createElement('section', { className: 'timeline-month' }, [
+                    createElement('h4', { className: 'timeline-month-title' }, [
+                        formatMonthName(Number(entry.group.slice(5, 7)) - 1),
+                        createElement('span', { className: 'timeline-count' }, [t('timeline.count', { count: groupCounts.get(entry.group) })]),
+                    ]),
+                    grid,
+                ]));
+            currentGroup = entry.group;
+        }
+        grid.append(getMovieCard(entry.movie, entry));
+    });
 
-        const sorted = sortMode === 'watch'
-            ? sortMoviesByWatchDate(list)
-            : sortMoviesByReleaseDate(list);
+    container.replaceChildren(fragment);
+}
 
-        if (sorted.length === 0) {
-            emptyMessageEl.hidden = false;
-            return;
+function getWishlistGroupLabel(group) {
+    if (wishlistGroup === 'priority') {
+        return t(`priority.${group}`);
+    }
+    return group || t('wishlist.noRecommender');
+}
+
+// Groups keep the section's sort order inside them; recommenders with more picks come first.
+function buildWishlistGroups(movies, grouping) {
+    const groups = new Map();
+    movies.forEach(movie => {
+        const key = grouping === 'priority' ? getPriority(movie) : (movie.recommendedBy || '').trim();
+        groups.set(key, [...(groups.get(key) || []), movie]);
+    });
+    const keys = [...groups.keys()];
+    if (grouping === 'priority') {
+        keys.sort((a, b) => WISHLIST_PRIORITIES.indexOf(a) - WISHLIST_PRIORITIES.indexOf(b));
+    } else {
+        keys.sort((a, b) => Number(!a) - Number(!b) || groups.get(b).length - groups.get(a).length || pinyinCollator.compare(a, b));
+    }
+    return keys.flatMap(group => groups.get(group).map(movie => ({ key: getEntryKey(movie), movie, group })));
+}
+
+function paintGroups(container, state) {
+    const groupCounts = new Map();
+    state.entries.forEach(({ group }) => groupCounts.set(group, (groupCounts.get(group) || 0) + 1));
+
+    const fragment = document.createDocumentFragment();
+    let currentGroup = null;
+    let grid = null;
+    state.entries.slice(0, state.visible).forEach(entry => {
+        if (entry.group !== currentGroup) {
+            grid = createElement('div', { className: 'movie-grid' });
+            fragment.append(createElement('section', { className: 'wishlist-group' }, [
+                createElement('h3', { className: 'wishlist-group-title' }, [
+                    getWishlistGroupLabel(entry.group),
+                    createElement('span', { className: 'timeline-count' }, [t('timeline.count', { count: groupCounts.get(entry.group) })]),
+                ]),
+                grid,
+            ]));
+            currentGroup = entry.group;
         }
+        grid.append(getMovieCard(entry.movie, entry));
+    });
 
-        emptyMessageEl.hidden = true;
-
-        sorted.forEach(movie => {
-            const isWebVideo = movie.mediaType === 'web-video';
-
-            let imagePath, title, rating, cinemaBadge, targetUrl, releaseDate;
-            let platformBadge = '';
-            let creatorInfo = '';
-            let durationInfo = '';
-
-            if (isWebVideo) {
-                // Web video rendering
-                // Use a solid color placeholder if no cover URL
-                imagePath = movie.coverUrl || 'data:image/svg+xml,%3Csvg xmlns="http://www.w3.org/2000/svg" width="400" height="225"%3E%3Crect width="400" height="225" fill="%2300a1d6"/%3E%3Ctext x="50%25" y="50%25" font-size="48" fill="white" text-anchor="middle" dy=".3em"%3E▶%3C/text%3E%3C/svg%3E';
-                title = movie.title || 'Untitled';
-                const ratingValue = typeof movie.rating === 'number' ? movie.rating : null;
-                rating = typeof ratingValue === 'number' ? ratingValue.toFixed(1) : null;
-                cinemaBadge = '';
-                targetUrl = movie.url || '#';
-                releaseDate = null;
-
-                if (movie.platform) {
-                    const icon = getPlatformIcon(movie.platform);
-                    const color = getPlatformColor(movie.platform);
-                    platformBadge = `<span class="platform-badge" style="background-color: ${color}" title="${movie.platform}">${icon}</span>`;
-                }
-
-                if (movie.creator) {
-                    creatorInfo = `<p class="creator-info">UP主：${movie.creator}</p>`;
-                }
-
-                if (movie.duration) {
-                    durationInfo = `<p class="duration-info">时长：${movie.duration}</p>`;
-                }
-            } else {
-                // Movie/TV rendering
-                const posterPath = movie.tmdb?.poster_path || movie.tmdb?.backdrop_path || null;
-                imagePath = posterPath ? `${POSTER_BASE_URL}${posterPath}` : PLACEHOLDER_POSTER;
-                title = movie.title || movie.tmdb?.title || movie.tmdb?.original_title || 'Untitled';
-                const ratingValue = typeof movie.rating === 'number'
-                    ? movie.rating
-                    : typeof movie.tmdb?.vote_average === 'number'
-                        ? movie.tmdb.vote_average
-                        : null;
-                rating = typeof ratingValue === 'number' ? ratingValue.toFixed(1) : null;
-                cinemaBadge = movie.inCinema ? '<span class="cinema-badge" title="影院观影">🎦</span>' : '';
-                const mediaType = movie.mediaType === 'tv' ? 'tv' : 'movie';
-                targetUrl = movie.id ? `https://www.themoviedb.org/${mediaType}/${movie.id}` : '#';
-                releaseDate = formatDate(getReleaseDate(movie));
-            }
+    container.replaceChildren(fragment);
+}
 
-            const formattedWatchDates = (Array.isArray(movie.watchDates)
-                ? movie.watchDates
-                : movie.watchDate
-                    ? [movie.watchDate]
-                : [])
-                .map(date => formatDate(date))
-                .filter(Boolean);
-            const [primaryWatchDate, ...extraWatchDates] = formattedWatchDates;
-            const note = movie.note ? `<p class="watch-note">${movie.note}</p>` : '';
-            const watchDatesMarkup = extraWatchDates.length
-                ? `<p class="watch-dates">再看：${extraWatchDates.join('、')}</p>`
-                : '';
-
-            container.innerHTML += `
-                <div class="movie-item">
-                    <a class="poster-wrapper" href="${targetUrl}" target="_blank" rel="noopener noreferrer">
-                        <img src="${imagePath}" alt="${title}" loading="lazy">
-                        <div class="badge-row">
-                            ${rating ? `<span class="rating-badge">${rating}</span>` : ''}
-                            ${cinemaBadge}
-                            ${platformBadge}
-                        </div>
-                    </a>
-                    <p>${title}</p>
-                    ${releaseDate ? `<p class="release-date">上映：${releaseDate}</p>` : ''}
-                    ${creatorInfo}
-                    ${durationInfo}
-                    ${primaryWatchDate ? `<p class="watch-date">观影：${primaryWatchDate}</p>` : ''}
-                    ${watchDatesMarkup}
-                    ${note}
-                </div>
-            `;
-        });
-    };
+function paintSection(section, { append = false } = {}) {
+    const state = sectionStates[section];
+    const { container, loadMoreButton } = getSectionElements(section);
+    if (!state || !container) {
+        return;
+    }
+
+    if (state.timeline) {
+        paintTimeline(container, state);
+    } else if (state.grouping) {
+        paintGroups(container, state);
+    } else if (append) {
+        const shown = container.children.length;
+        container.append(...state.entries.slice(shown, state.visible).map(entry => getMovieCard(entry.movie, entry)));
+    } else {
+        container.replaceChildren(...state.entries.slice(0, state.visible).map(entry => getMovieCard(entry.movie, entry)));
+    }
 
-    renderList(watchingContainer, watchingEmpty, watchingMovies, 'release');
-    renderList(wishlistContainer, wishlistEmpty, wishlistMovies, 'release');
-    renderList(watchedContainer, watchedEmpty, watchedMovies, 'watch');
+    if (loadMoreButton) {
+        const remaining = state.entries.length - state.visible;
+        loadMoreButton.hidden = remaining <= 0;
+        loadMoreButton.textContent = t('section.loadMore', { count: remaining });
+    }
 }
 
-function setupFilterButtons() {
-    const filterButtons = document.querySelectorAll('.filter-btn');
+function loadMore(section) {
+    const state = sectionStates[section];
+    if (!state || state.visible >= state.entries.length) {
+        return;
+    }
+    state.visible = Math.min(state.entries.length, state.visible + PAGE_SIZE);
+    paintSection(section, { append: true });
+}
 
-    filterButtons.forEach(button => {
-        button.addEventListener('click', () => {
-            filterButtons.forEach(btn => btn.classList.remove('active'));
-            button.classList.add('active');
+function getYearWatchDates(movie, year) {
+    return getFormattedWatchDates(movie).filter(date => date.startsWith(`${year}-`)).sort();
+}
 
-            currentFilter = button.getAttribute('data-filter');
-            renderMovies(allMovies);
-        });
+// One card per title watched in `year`, dated by its latest viewing that year.
+function buildArchiveEntries(movies, year, sortKey) {
+    const entries = movies.map(movie => {
+        const dates = getYearWatchDates(movie, year);
+        const viewingDate = dates[dates.length - 1];
+        return {
+            // Namespaced apart from the timeline, whose card for the same viewing may differ in isRewatch.
+            key: `archive:${getEntryKey(movie)}@${viewingDate}`,
+            movie,
+            viewingDate,
+            firstDate: dates[0],
+            isRewatch: [...getFormattedWatchDates(movie)].sort()[0] < dates[0],
+        };
     });
+    // The watch-date sorts should follow the viewings in this year, not the title's overall history.
+    if (sortKey === 'watch-latest') {
+        entries.sort((a, b) => b.viewingDate.localeCompare(a.viewingDate));
+    } else if (sortKey === 'watch-first') {
+        entries.sort((a, b) => b.firstDate.localeCompare(a.firstDate));
+    }
+    return entries;
 }
 
-async function initGallery() {
-    allMovies = await fetchMoviesFromList();
-    renderMovies(allMovies);
+function getArchiveYears() {
+    return getViewingYears(allMovies.filter(movie => getSection(movie) === 'watched'));
+}
+
+function countWatchedInYear(year) {
+    return allMovies.filter(movie => getSection(movie) === 'watched' && getYearWatchDates(movie, year).length).length;
+}
+
+function renderArchiveControls() {
+    const heading = document.getElementById('year-title');
+    if (heading) {
+        heading.textContent = watchedYear
+            ? t('archive.heading', { year: watchedYear, count: countWatchedInYear(watchedYear) })
+            : t('app.title');
+    }
+
+    const select = document.getElementById('archive-year');
+    if (!select) {
+        return;
+    }
+    const years = getArchiveYears();
+    select.innerHTML = html`<option value="">${t('archive.allYears')}</option>${years.map(year => html`<option value="${year}">${year}</option>`)}`;
+    select.value = watchedYear ? String(watchedYear) : '';
+    document.getElementById('archive-prev').disabled = !years.length || watchedYear === years[years.length - 1];
+    document.getElementById('archive-next').disabled = watchedYear === null;
+}
+
+function renderSection(section, movies) {
+    const { container, emptyMessage } = getSectionElements(section);
+    if (!container || !emptyMessage) {
+        return;
+    }
+
+    const useTimeline = section === 'watched' && watchedLayout === 'timeline';
+    const grouping = section === 'wishlist' ? wishlistGroup : null;
+    const archiveYear = section === 'watched' ? watchedYear : null;
+    let entries;
+    if (grouping) {
+        entries = buildWishlistGroups(movies, grouping);
+    } else if (useTimeline) {
+        entries = buildTimelineEntries(movies)
+            .filter(entry => !archiveYear || entry.viewingDate?.startsWith(`${archiveYear}-`));
+    } else if (archiveYear) {
+        entries = buildArchiveEntries(movies, archiveYear, sortPreferences[section] || DEFAULT_SORTS[section]);
+    } else {
+        entries = movies.map(movie => ({ key: getEntryKey(movie), movie }));
+    }
+    const signature = `${useTimeline ? 'timeline' : grouping || 'grid'}:${entries.map(entry => entry.key).join('|')}`;
+
+    emptyMessage.hidden = entries.length > 0;
+
+    if (sectionStates[section]?.signature === signature) {
+        return;
+    }
+
+    sectionStates[section] = {
+        entries,
+        signature,
+        timeline: useTimeline,
+        grouping,
+        // Filtering or re-sorting keeps however many pages the visitor already loaded.
+        visible: Math.min(entries.length, Math.max(PAGE_SIZE, sectionStates[section]?.visible || 0)),
+    };
+    container.classList.toggle('timeline-mode', useTimeline);
+    container.classList.toggle('grouped-mode', Boolean(grouping));
+    paintSection(section);
+}
+
+// Makes sure the card for `key` is rendered, expanding a paginated section if needed.
+function revealCard(key) {
+    for (const [section, state] of Object.entries(sectionStates)) {
+        const index = state.entries.findIndex(entry => getEntryKey(entry.movie) === key);
+        if (index === -1) {
+            continue;
+        }
+        if (index >= state.visible) {
+            state.visible = Math.min(state.entries.length, Math.ceil((index + 1) / PAGE_SIZE) * PAGE_SIZE);
+            paintSection(section);
+        }
+        const { container } = getSectionElements(section);
+        return [...container.querySelectorAll('.movie-item')]
+            .find(item => item.getAttribute('data-id') === key) || null;
+    }
+    return null;
+}
+
+function renderMovies(movies) {
+    const searchedMovies = filterMoviesBySearch(filterMoviesByType(movies, currentFilter), searchQuery);
+    renderFacetPanel(searchedMovies);
+    const filteredMovies = filterMoviesByFacets(searchedMovies, activeFacets);
+
+    Object.keys(SECTION_CONTAINERS).forEach(section => {
+        const list = filteredMovies.filter(movie => getSection(movie) === section
+            && (section !== 'watched' || !watchedYear || getYearWatchDates(movie, watchedYear).length > 0));
+        renderSection(section, sortMovies(list, sortPreferences[section] || DEFAULT_SORTS[section]));
+    });
+    renderArchiveControls();
+}
+
+function renderDetail(movie) {
+    const isWebVideo = movie.mediaType === 'web-video';
+    const tmdb = movie.tmdb || {};
+    const title = getDisplayTitle(movie) || 'Untitled';
+    const backdrop = isWebVideo
+        ? safeUrl(movie.coverUrl, WEB_VIDEO_PLACEHOLDER)
+        : tmdb.backdrop_path
+            ? `${BACKDROP_BASE_URL}${tmdb.backdrop_path}`
+            : tmdb.poster_path
+                ? `${POSTER_BASE_URL}${tmdb.poster_path}`
+                : PLACEHOLDER_POSTER;
+
+    const facts = [];
+    const releaseDate = formatDate(getReleaseDate(movie));
+    if (releaseDate) {
+        facts.push([t('detail.release'), formatDisplayDate(releaseDate)]);
+    }
+    if (getRuntime(movie)) {
+        facts.push([t(movie.mediaType === 'tv' ? 'detail.episodeRuntime' : 'detail.runtime'), t('detail.minutes', { count: getRuntime(movie) })]);
+    }
+    if (Array.isArray(tmdb.genres) && tmdb.genres.length) {
+        facts.push([t('detail.genres'), tmdb.genres.map(genre => genre.name).join(' / ')]);
+    }
+    if (getDirectors(movie).length) {
+        facts.push([t('detail.directors'), getDirectors(movie).map((director, index) => html`${index ? ' / ' : ''}${renderPersonLink(director)}`)]);
+    }
+    if (getTags(movie).length) {
+        facts.push([t('detail.tags'), getTags(movie).map(tag => html`<button type="button" class="tag-link" data-tag="${tag}">${tag}</button>`)]);
+    }
+    if (tmdb.original_language) {
+        facts.push([t('detail.language'), getFacetLabel('language', tmdb.original_language, allMovies)]);
+    }
+    if (isWebVideo && movie.creator) {
+        facts.push([t('detail.creator'), movie.creator]);
+    }
+    if (isWebVideo && movie.duration) {
+        facts.push([t('detail.duration'), movie.duration]);
+    }
+    if (typeof movie.rating === 'number') {
+        facts.push([t('detail.myRating'), movie.rating.toFixed(1)]);
+    }
+    if (getSection(movie) === 'wishlist') {
+        facts.push([t('detail.priority'), t(`priority.${getPriority(movie)}`)]);
+    }
+    if (movie.recommendedBy) {
+        facts.push([t('detail.recommendedBy'), movie.recommendedBy]);
+    }
+    if (getAddedAt(movie)) {
+        facts.push([t('detail.added'), getSection(movie) === 'wishlist'
+            ? t('detail.addedWaiting', { date: formatDisplayDate(getAddedAt(movie)), waiting: formatWaitingTime(getAddedAt(movie)) })
+            : formatDisplayDate(getAddedAt(movie))]);
+    }
+    if (getTmdbRating(movie) !== null) {
+        facts.push([t('detail.tmdbRating'), `${getTmdbRating(movie).toFixed(1)}${tmdb.vote_count ? t('detail.votes', { count: tmdb.vote_count }) : ''}`]);
+    }
+
+    const history = [...getFormattedWatchDates(movie)].sort();
+    const historyMarkup = history.length
+        ? html`<ol class="detail-history">${history.map((date, index) => html`<li><span>${index === 0 ? t('detail.firstViewing') : t('detail.nthViewing', { count: index + 1 })}</span><time datetime="${date}">${formatDisplayDate(date)}</time></li>`)}</ol>`
+        : html`<p class="detail-empty">${t('detail.noHistory')}</p>`;
+
+    const progress = getTvProgress(movie);
+    const progressMarkup = progress
+        ? html`
+            <h3 class="detail-subtitle">${t('detail.progress', { watched: progress.watched, total: progress.total })}</h3>
+            <ol class="detail-history detail-seasons">${progress.seasons.map(season => html`
+                <li>
+                    <span>${season.name || t('detail.season', { season: season.number })}</span>
+                    <span class="detail-season-dates">${season.watchDates.map(formatDisplayDate).join(t('list.separator'))}${season.rating === null ? '' : ` · ${season.rating.toFixed(1)}`}</span>
+                    <strong>${t('detail.episodes', { watched: season.watched, total: season.total })}</strong>
+                </li>
+            `)}</ol>
+        `
+        : '';
+
+    const links = [html`<a href="${getTitlePageUrl(movie)}" target="_blank" rel="noopener">${t('detail.sharePage')}</a>`];
+    const tmdbUrl = getTmdbUrl(movie);
+    if (tmdbUrl) {
+        links.push(html`<a href="${tmdbUrl}" target="_blank" rel="noopener noreferrer">${t('detail.tmdbLink')}</a>`);
+    }
+    if (safeUrl(tmdb.homepage, null)) {
+        links.push(html`<a href="${safeUrl(tmdb.homepage)}" target="_blank" rel="noopener noreferrer">${t('detail.homepage')}</a>`);
+    }
+    if (isWebVideo && safeUrl(movie.url, null)) {
+        links.push(html`<a href="${safeUrl(movie.url)}" target="_blank" rel="noopener noreferrer">${movie.platform ? t('detail.platformLink', { platform: movie.platform }) : t('detail.watchLink')}</a>`);
+    }
+
+    return html`
+        <div class="detail-backdrop">
+            <img src="${backdrop}" alt="">
+        </div>
+        <div class="detail-body">
+            <h2 id="detail-title" class="detail-title">${title}${movie.inCinema ? html` <span class="cinema-badge" title="${t('card.cinema')}">🎦</span>` : ''}</h2>
+            ${tmdb.original_title && tmdb.original_title !== title ? html`<p class="detail-original-title">${tmdb.original_title}</p>` : ''}
+            <dl class="detail-facts">
+                ${facts.map(([label, value]) => html`<dt>${label}</dt><dd>${value}</dd>`)}
+            </dl>
+            ${getOverview(movie) ? html`<p class="detail-overview">${getOverview(movie)}</p>` : ''}
+            ${movie.note ? html`<blockquote class="detail-note">${movie.note}</blockquote>` : ''}
+            ${progressMarkup}
+            <h3 class="detail-subtitle">${t('detail.history')}</h3>
+            ${historyMarkup}
+            <p class="detail-links">${links}</p>
+        </div>
+    `;
+}
+
+function showDetail(key) {
+    const overlay = document.getElementById('detail-overlay');
+    const content = document.getElementById('detail-content');
+    const movie = findMovieByKey(key);
+    if (!overlay || !content || !movie) {
+        return false;
+    }
+
+    if (overlay.hidden) {
+        detailReturnFocus = document.activeElement;
+    }
+    openEntryKey = getEntryKey(movie);
+    content.innerHTML = renderDetail(movie);
+    overlay.hidden = false;
+    document.body.classList.add('detail-open');
+    overlay.querySelector('.detail-drawer')?.focus();
+    return true;
+}
+
+function hideDetail() {
+    const overlay = document.getElementById('detail-overlay');
+    if (!overlay || overlay.hidden) {
+        return;
+    }
+
+    openEntryKey = null;
+    overlay.hidden = true;
+    document.body.classList.remove('detail-open');
+    if (detailReturnFocus && typeof detailReturnFocus.focus === 'function') {
+        detailReturnFocus.focus();
+    }
+    detailReturnFocus = null;
+}
+
+function readUrlState() {
+    return new URLSearchParams(window.location.hash.replace(/^#/, ''));
+}
+
+function splitParam(params, name) {
+    return (params.get(name) || '').split(',').map(value => value.trim()).filter(Boolean);
+}
+
+function parseNumberParam(value) {
+    if (value === null || value === '') {
+        return null;
+    }
+    const numeric = Number(value);
+    return Number.isNaN(numeric) ? null : numeric;
+}
+
+function buildUrlState() {
+    const params = new URLSearchParams();
+
+    if (currentFilter !== 'all') {
+        params.set('type', currentFilter);
+    }
+    if (searchQuery.trim()) {
+        params.set('q', searchQuery.trim());
+    }
+    if (activeFacets.genres.length) {
+        params.set('genre', activeFacets.genres.join(','));
+    }
+    if (activeFacets.decades.length) {
+        params.set('decade', activeFacets.decades.join(','));
+    }
+    if (activeFacets.languages.length) {
+        params.set('lang', activeFacets.languages.join(','));
+    }
+    if (activeFacets.tags.length) {
+        params.set('tag', activeFacets.tags.join(','));
+    }
+    if (activeFacets.ratingMin !== null || activeFacets.ratingMax !== null) {
+        params.set('rating', `${activeFacets.ratingMin ?? ''}-${activeFacets.ratingMax ?? ''}`);
+    }
+    if (activeFacets.cinemaOnly) {
+        params.set('cinema', '1');
+    }
+
+    const sorts = Object.keys(DEFAULT_SORTS)
+        .filter(section => sortPreferences[section] && sortPreferences[section] !== DEFAULT_SORTS[section])
+        .map(section => `${section}:${sortPreferences[section]}`);
+    if (sorts.length) {
+        params.set('sort', sorts.join(','));
+    }
+
+    if (watchedLayout !== 'grid') {
+        params.set('layout', watchedLayout);
+    }
+    if (wishlistGroup) {
+        params.set('group', wishlistGroup);
+    }
+    if (watchedYear) {
+        params.set('archive', String(watchedYear));
+    }
+    if (currentView !== 'gallery') {
+        params.set('view', currentView);
+    }
+    if (currentView === 'stats' && statsYear) {
+        params.set('year', String(statsYear));
+    }
+    if (currentView === 'directors' && currentPerson) {
+        params.set('person', currentPerson);
+    }
+    if (currentView === 'lists' && currentList) {
+        params.set('list', currentList);
+    }
+
+    if (openEntryKey) {
+        params.set('entry', openEntryKey);
+    }
+
+    return params;
+}
+
+function applyUrlState(params) {
+    statsYear = parseNumberParam(params.get('year'));
+    watchedYear = parseNumberParam(params.get('archive'));
+    watchedLayout = params.get('layout') === 'timeline' ? 'timeline' : 'grid';
+    wishlistGroup = WISHLIST_GROUPS.includes(params.get('group')) ? params.get('group') : null;
+    currentPerson = params.get('person');
+    currentList = params.get('list');
+
+    const type = params.get('type');
+    currentFilter = ['movie', 'tv', 'web-video'].includes(type) ? type : 'all';
+    searchQuery = params.get('q') || '';
+
+    const [ratingMin = '', ratingMax = ''] = (params.get('rating') || '').split('-');
+    activeFacets = {
+        genres: splitParam(params, 'genre'),
+        decades: splitParam(params, 'decade'),
+        languages: splitParam(params, 'lang'),
+        tags: splitParam(params, 'tag'),
+        ratingMin: parseNumberParam(ratingMin),
+        ratingMax: parseNumberParam(ratingMax),
+        cinemaOnly: params.get('cinema') === '1',
+    };
+
+    // Sort orders from a shared link apply to this visit only; the stored
+    // preference stays as the visitor left it.
+    const storedSorts = loadSortPreferences();
+    sortPreferences = { ...storedSorts };
+    splitParam(params, 'sort').forEach(pair => {
+        const [section, key] = pair.split(':');
+        if (DEFAULT_SORTS[section] && getSortKeys(section).includes(key)) {
+            sortPreferences[section] = key;
+        }
+    });
+}
+
+function writeUrlState({ push = false } = {}) {
+    const query = buildUrlState().toString();
+    const url = `${window.location.pathname}${window.location.search}${query ? `#${query}` : ''}`;
+    const state = openEntryKey ? { entryKey: openEntryKey } : null;
+
+    if (url === `${window.location.pathname}${window.location.search}${window.location.hash}`) {
+        return;
+    }
+    if (push) {
+        history.pushState(state, '', url);
+    } else {
+        history.replaceState(state, '', url);
+    }
+}
+
+function syncControlsWithState() {
+    document.querySelectorAll('.filter-btn[data-filter]').forEach(button => {
+        button.classList.toggle('active', button.getAttribute('data-filter') === currentFilter);
+    });
+
+    const searchInput = document.getElementById('search-input');
+    if (searchInput && searchInput.value !== searchQuery) {
+        searchInput.value = searchQuery;
+    }
+
+    const ratingMin = document.getElementById('rating-min');
+    const ratingMax = document.getElementById('rating-max');
+    const cinemaOnly = document.getElementById('cinema-only');
+    if (ratingMin) ratingMin.value = activeFacets.ratingMin ?? '';
+    if (ratingMax) ratingMax.value = activeFacets.ratingMax ?? '';
+    if (cinemaOnly) cinemaOnly.checked = activeFacets.cinemaOnly;
+
+    document.querySelectorAll('.sort-select').forEach(select => {
+        const section = select.getAttribute('data-section');
+        select.value = sortPreferences[section] || DEFAULT_SORTS[section];
+    });
+
+    document.querySelectorAll('.layout-btn').forEach(button => {
+        button.classList.toggle('active', button.getAttribute('data-layout') === watchedLayout);
+    });
+    const groupSelect = document.getElementById('wishlist-group');
+    if (groupSelect) {
+        groupSelect.value = wishlistGroup || '';
+    }
+    // The timeline is always chronological, so the watched sort order doesn't apply.
+    const watchedSort = document.querySelector('.sort-select[data-section="watched"]');
+    if (watchedSort) {
+        watchedSort.hidden = watchedLayout === 'timeline';
+    }
+}
+
+function refreshGallery() {
+    renderMovies(allMovies);
+    writeUrlState();
+}
+
+function openDetail(key) {
+    if (!showDetail(key)) {
+        return;
+    }
+    writeUrlState({ push: true });
+}
+
+function closeDetail() {
+    if (history.state?.entryKey) {
+        // Pop the entry we pushed so the back button doesn't reopen the drawer.
+        history.back();
+        return;
+    }
+    hideDetail();
+    writeUrlState();
+}
+
+function syncWithUrl() {
+    const params = readUrlState();
+    applyUrlState(params);
+    syncControlsWithState();
+    renderMovies(allMovies);
+    setView(params.get('view'));
+
+    const entryKey = params.get('entry');
+    if (!entryKey || !showDetail(entryKey)) {
+        hideDetail();
+    }
+}
+
+function setupDetailDrawer() {
+    const overlay = document.getElementById('detail-overlay');
+    const pageContainer = document.querySelector('.page-container');
+    if (!overlay || !pageContainer) {
+        return;
+    }
+
+    pageContainer.addEventListener('click', event => {
+        const card = event.target.closest('.movie-item');
+        // The picker shows its pick in a card too; opening the drawer there would cover the picker.
+        if (!card || card.closest('#picker-result') || event.metaKey || event.ctrlKey || event.shiftKey || event.button !== 0) {
+            return;
+        }
+        event.preventDefault();
+        openDetail(card.getAttribute('data-id'));
+    });
+
+    overlay.addEventListener('click', event => {
+        const tagLink = event.target.closest('[data-tag]');
+        if (tagLink) {
+            showTag(tagLink.getAttribute('data-tag'));
+        } else if (event.target === overlay || event.target.closest('.detail-close')) {
+            closeDetail();
+        }
+    });
+
+    document.addEventListener('keydown', event => {
+        if (event.key === 'Escape' && !overlay.hidden) {
+            closeDetail();
+        }
+    });
+
+}
+
+function parseDuration(duration) {
+    if (!duration) {
+        return null;
+    }
+    const parts = String(duration).split(':').map(Number);
+    if (!parts.length || parts.some(Number.isNaN)) {
+        return null;
+    }
+    return parts.reduce((total, part) => total * 60 + part, 0) / 60;
+}
+
+function getViewingMinutes(movie) {
+    if (movie.mediaType === 'web-video') {
+        return parseDuration(movie.duration);
+    }
+    // TV runtimes are per episode, so a single logged date says little about hours spent.
+    if (movie.mediaType === 'tv') {
+        return null;
+    }
+    return getRuntime(movie);
+}
+
+function getViewings(movies) {
+    const viewings = [];
+    movies.forEach(movie => {
+        getFormattedWatchDates(movie).forEach(date => viewings.push({ movie, date }));
+    });
+    return viewings;
+}
+
+function getViewingYears(movies) {
+    const years = new Set(getViewings(movies).map(({ date }) => Number(date.slice(0, 4))));
+    return [...years].sort((a, b) => b - a);
+}
+
+function countBy(items, getKeys) {
+    const counts = new Map();
+    items.forEach(item => {
+        getKeys(item).forEach(key => counts.set(key, (counts.get(key) || 0) + 1));
+    });
+    return [...counts.entries()].sort((a, b) => b[1] - a[1]);
+}
+
+function average(values) {
+    return values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
+
+function computeYearStats(movies, year) {
+    const allViewings = getViewings(movies);
+    const viewings = allViewings.filter(({ date }) => date.startsWith(`${year}-`));
+    const titles = [...new Set(viewings.map(({ movie }) => movie))];
+
+    const months = Array.from({ length: 12 }, () => ({ movie: 0, tv: 0, 'web-video': 0, total: 0 }));
+    viewings.forEach(({ movie, date }) => {
+        const month = months[Number(date.slice(5, 7)) - 1];
+        const mediaType = MEDIA_TYPES.includes(movie.mediaType) ? movie.mediaType : 'movie';
+        month[mediaType] += 1;
+        month.total += 1;
+    });
+
+    const minutes = viewings.reduce((sum, { movie }) => sum + (getViewingMinutes(movie) || 0), 0);
+    const cinemaViewings = viewings.filter(({ movie }) => movie.inCinema === true).length;
+
+    const rated = titles.filter(movie => getPersonalRating(movie) !== null && getTmdbRating(movie) !== null);
+
+    const totalViewings = new Map();
+    allViewings.forEach(({ movie }) => totalViewings.set(movie, (totalViewings.get(movie) || 0) + 1));
+    const yearViewings = new Map();
+    viewings.forEach(({ movie }) => yearViewings.set(movie, (yearViewings.get(movie) || 0) + 1));
+    const rewatched = titles
+        .filter(movie => totalViewings.get(movie) > 1)
+        .sort((a, b) => (yearViewings.get(b) - yearViewings.get(a)) || (totalViewings.get(b) - totalViewings.get(a)))
+        .slice(0, 5)
+        .map(movie => ({ movie, year: yearViewings.get(movie), total: totalViewings.get(movie) }));
+
+    return {
+        year,
+        viewings: viewings.length,
+        counts: {
+            movie: titles.filter(movie => (movie.mediaType || 'movie') === 'movie').length,
+            tv: titles.filter(movie => movie.mediaType === 'tv').length,
+            'web-video': titles.filter(movie => movie.mediaType === 'web-video').length,
+        },
+        months,
+        hours: minutes / 60,
+        cinemaShare: viewings.length ? cinemaViewings / viewings.length : 0,
+        personalAverage: average(rated.map(getPersonalRating)),
+        tmdbAverage: average(rated.map(getTmdbRating)),
+        ratedCount: rated.length,
+        genres: countBy(titles, movie => (movie.tmdb?.genres || []).map(genre => genre.name)).slice(0, 8),
+        directors: countBy(titles, movie => getDirectors(movie).map(getPersonKey)).slice(0, 8),
+        rewatched,
+    };
+}
+
+function getViewingsByDate(movies) {
+    const byDate = new Map();
+    getViewings(movies).forEach(({ movie, date }) => {
+        if (!byDate.has(date)) {
+            byDate.set(date, []);
+        }
+        byDate.get(date).push(movie);
+    });
+    return byDate;
+}
+
+function getHeatmapLevel(count, max) {
+    if (!count) {
+        return 0;
+    }
+    return Math.max(1, Math.ceil((count / max) * 4));
+}
+
+function renderHeatmap(year, viewingsByDate) {
+    const start = new Date(Date.UTC(year, 0, 1));
+    const end = new Date(Date.UTC(year, 11, 31));
+    // Weeks start on Monday; pad the first column so Jan 1 lands on its weekday row.
+    const leadingDays = (start.getUTCDay() + 6) % 7;
+    const cells = Array.from({ length: leadingDays }, () => html`<span class="heatmap-cell heatmap-pad"></span>`);
+    const monthLabels = [];
+
+    let max = 1;
+    viewingsByDate.forEach((movies, date) => {
+        if (date.startsWith(`${year}-`)) {
+            max = Math.max(max, movies.length);
+        }
+    });
+
+    for (let day = new Date(start); day <= end; day.setUTCDate(day.getUTCDate() + 1)) {
+        const date = day.toISOString().slice(0, 10);
+        const count = viewingsByDate.get(date)?.length || 0;
+        const column = Math.floor(cells.length / 7) + 1;
+        if (day.getUTCDate() === 1) {
+            monthLabels.push(html`<span class="heatmap-month" style="grid-column: ${column}">${formatMonthName(day.getUTCMonth())}</span>`);
+        }
+        cells.push(html`<button type="button" class="heatmap-cell heatmap-level-${getHeatmapLevel(count, max)}" data-date="${date}" title="${t('heatmap.cell', { date: formatDisplayDate(date), count })}"></button>`);
+    }
+
+    return html`
+        <div class="heatmap">
+            <div class="heatmap-months">${monthLabels}</div>
+            <div class="heatmap-body">
+                <div class="heatmap-weekdays">${[0, 1, 2, 3, 4, 5, 6].map(day => html`<span>${day % 2 ? '' : formatWeekdayName(day)}</span>`)}</div>
+                <div class="heatmap-grid">${cells}</div>
+            </div>
+            <p class="heatmap-scale">${t('heatmap.less')} ${[0, 1, 2, 3, 4].map(level => html`<span class="heatmap-cell heatmap-level-${level}"></span>`)} ${t('heatmap.more')}</p>
+        </div>
+        <div id="heatmap-day" class="heatmap-day"><p class="detail-empty">${t('heatmap.hint')}</p></div>
+    `;
+}
+
+function renderHeatmapDay(date) {
+    const container = document.getElementById('heatmap-day');
+    if (!container) {
+        return;
+    }
+    const movies = getViewingsByDate(allMovies).get(date) || [];
+    container.innerHTML = movies.length
+        ? html`<h4 class="heatmap-day-title">${t('heatmap.dayTitle', { date: formatDisplayDate(date), count: movies.length })}</h4>
+            <ul class="heatmap-day-list">${movies.map(movie => html`
+                <li>
+                    <button type="button" class="stats-entry" data-id="${getEntryKey(movie)}">${getDisplayTitle(movie)}</button>
+                    <button type="button" class="heatmap-jump" data-id="${getEntryKey(movie)}">${t('heatmap.jump')}</button>
+                </li>`)}</ul>`
+        : html`<p class="detail-empty">${t('heatmap.empty', { date: formatDisplayDate(date) })}</p>`;
+}
+
+// Tags in the drawer show everything sharing that tag, whatever was filtered before.
+function showTag(tag) {
+    hideDetail();
+    currentFilter = 'all';
+    searchQuery = '';
+    activeFacets = { ...createEmptyFacets(), tags: [tag] };
+    watchedYear = null;
+    setView('gallery');
+    syncControlsWithState();
+    renderMovies(allMovies);
+    window.scrollTo(0, 0);
+    writeUrlState({ push: true });
+}
+
+function jumpToCard(key) {
+    setView('gallery');
+    let card = revealCard(key);
+    if (!card) {
+        // The card is hidden by the current filters; reset them so it can be shown.
+        currentFilter = 'all';
+        searchQuery = '';
+        activeFacets = createEmptyFacets();
+        watchedYear = null;
+        syncControlsWithState();
+        renderMovies(allMovies);
+        card = revealCard(key);
+    }
+    writeUrlState({ push: true });
+    if (!card) {
+        return;
+    }
+    card.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    card.classList.add('highlighted');
+    setTimeout(() => card.classList.remove('highlighted'), 2000);
+}
+
+function renderRankList(entries, renderName = name => name) {
+    if (!entries.length) {
+        return html`<p class="detail-empty">${t('stats.noData')}</p>`;
+    }
+    const max = entries[0][1];
+    return html`<ol class="stats-ranking">${entries.map(([name, count]) => html`
+        <li>
+            <span class="stats-ranking-name">${renderName(name)}</span>
+            <span class="stats-ranking-bar"><span style="width: ${(count / max) * 100}%"></span></span>
+            <span class="stats-ranking-count">${count}</span>
+        </li>`)}</ol>`;
+}
+
+function renderStats() {
+    const container = document.getElementById('stats-content');
+    const yearSelect = document.getElementById('stats-year');
+    if (!container || !yearSelect) {
+        return;
+    }
+
+    const years = getViewingYears(allMovies);
+    if (!years.length) {
+        container.innerHTML = html`<p class="empty-message">${t('stats.noViewings')}</p>`;
+        return;
+    }
+    if (!years.includes(statsYear)) {
+        statsYear = years[0];
+    }
+
+    yearSelect.innerHTML = html`${years.map(year => html`<option value="${year}">${year}</option>`)}`;
+    yearSelect.value = String(statsYear);
+    document.getElementById('stats-prev').disabled = statsYear === years[years.length - 1];
+    document.getElementById('stats-next').disabled = statsYear === years[0];
+
+    const stats = computeYearStats(allMovies, statsYear);
+    const directors = collectDirectors(allMovies);
+    const maxMonth = Math.max(1, ...stats.months.map(month => month.total));
+    const formatAverage = value => (value === null ? '—' : value.toFixed(1));
+
+    container.innerHTML = html`
+        <div class="stats-cards">
+            <div class="stats-card"><strong>${stats.viewings}</strong><span>${t('stats.viewings')}</span></div>
+            <div class="stats-card"><strong>${stats.counts.movie}</strong><span>${t('stats.movies')}</span></div>
+            <div class="stats-card"><strong>${stats.counts.tv}</strong><span>${t('stats.tv')}</span></div>
+            <div class="stats-card"><strong>${Math.round(stats.hours)}</strong><span>${t('stats.hours')}</span></div>
+            <div class="stats-card"><strong>${Math.round(stats.cinemaShare * 100)}%</strong><span>${t('stats.cinemaShare')}</span></div>
+            <div class="stats-card"><strong>${formatAverage(stats.personalAverage)} / ${formatAverage(stats.tmdbAverage)}</strong><span>${t('stats.ratings', { count: stats.ratedCount })}</span></div>
+        </div>
+
+        <h3 class="stats-subtitle">${t('stats.calendar')}</h3>
+        ${renderHeatmap(statsYear, getViewingsByDate(allMovies))}
+
+        <h3 class="stats-subtitle">${t('stats.monthly')}</h3>
+        <div class="stats-months">
+            ${stats.months.map((month, index) => html`
+                <div class="stats-month" title="${t('stats.monthTooltip', { month: formatMonthName(index), movie: month.movie, tv: month.tv, web: month['web-video'] })}">
+                    <span class="stats-month-count">${month.total || ''}</span>
+                    <div class="stats-month-bar" style="height: ${(month.total / maxMonth) * 100}%">
+                        ${MEDIA_TYPES.map(type => (month[type] ? html`<span class="stats-segment stats-segment-${type}" style="flex-grow: ${month[type]}"></span>` : ''))}
+                    </div>
+                    <span class="stats-month-label">${formatMonthName(index)}</span>
+                </div>
+            `)}
+        </div>
+        <p class="stats-legend">
+            ${MEDIA_TYPES.map(type => html`<span><i class="stats-segment-${type}"></i>${t(`mediaType.${type}`)}</span>`)}
+        </p>
+
+        <div class="stats-columns">
+            <div>
+                <h3 class="stats-subtitle">${t('stats.topGenres')}</h3>
+                ${renderRankList(stats.genres)}
+            </div>
+            <div>
+                <h3 class="stats-subtitle">${t('stats.topDirectors')}</h3>
+                ${renderRankList(stats.directors, key => renderPersonLink(directors.get(key)))}
+            </div>
+        </div>
+
+        <h3 class="stats-subtitle">${t('stats.rewatched')}</h3>
+        ${stats.rewatched.length
+            ? html`<ol class="stats-rewatched">${stats.rewatched.map(({ movie, year, total }) => html`
+                <li><button type="button" class="stats-entry" data-id="${getEntryKey(movie)}">${getDisplayTitle(movie)}</button><span>${t('stats.rewatchCount', { year, total })}</span></li>`)}</ol>`
+            : html`<p class="detail-empty">${t('stats.noRewatches')}</p>`}
+    `;
+}
+
+function setView(view) {
+    currentView = VIEWS.includes(view) ? view : 'gallery';
+    document.querySelectorAll('.app-view').forEach(section => {
+        section.hidden = section.getAttribute('data-view') !== currentView;
+    });
+    document.querySelectorAll('.view-btn').forEach(button => {
+        button.classList.toggle('active', button.getAttribute('data-view') === currentView);
+    });
+    if (currentView === 'stats') {
+        renderStats();
+    }
+    if (currentView === 'ratings') {
+        renderRatings();
+    }
+    if (currentView === 'directors') {
+        renderDirectors();
+    }
+    if (currentView === 'lists') {
+        renderLists();
+    }
+}
+
+function getRatingPairs(movies) {
+    return movies
+        .filter(movie => getPersonalRating(movie) !== null && getTmdbRating(movie) !== null
+            && (movie.tmdb.vote_count || 0) >= RATINGS_MIN_VOTES)
+        .map(movie => ({
+            movie,
+            personal: getPersonalRating(movie),
+            tmdb: getTmdbRating(movie),
+            difference: getPersonalRating(movie) - getTmdbRating(movie),
+        }));
+}
+
+function renderRatingScatter(pairs) {
+    const size = 360;
+    const padding = 40;
+    const scale = value => padding + (value / 10) * (size - padding * 2);
+    const ticks = [0, 2, 4, 6, 8, 10];
+
+    return html`
+        <svg class="ratings-scatter" viewBox="0 0 ${size} ${size}" role="img" aria-label="${t('ratings.chartLabel')}">
+            ${ticks.map(tick => html`
+                <line class="ratings-grid" x1="${scale(tick)}" y1="${size - scale(0)}" x2="${scale(tick)}" y2="${size - scale(10)}"></line>
+                <line class="ratings-grid" x1="${scale(0)}" y1="${size - scale(tick)}" x2="${scale(10)}" y2="${size - scale(tick)}"></line>
+                <text class="ratings-tick" x="${scale(tick)}" y="${size - padding + 16}" text-anchor="middle">${tick}</text>
+                <text class="ratings-tick" x="${padding - 8}" y="${size - scale(tick) + 4}" text-anchor="end">${tick}</text>
+            `)}
+            <line class="ratings-diagonal" x1="${scale(0)}" y1="${size - scale(0)}" x2="${scale(10)}" y2="${size - scale(10)}"></line>
+            <text class="ratings-axis" x="${size / 2}" y="${size - 6}" text-anchor="middle">${t('detail.tmdbRating')}</text>
+            <text class="ratings-axis" x="12" y="${size / 2}" text-anchor="middle" transform="rotate(-90 12 ${size / 2})">${t('detail.myRating')}</text>
+            ${pairs.map(({ movie, personal, tmdb, difference }) => html`
+                <circle class="ratings-point ${difference > 0 ? 'ratings-point-higher' : difference < 0 ? 'ratings-point-lower' : ''}"
+                    cx="${scale(tmdb).toFixed(1)}" cy="${(size - scale(personal)).toFixed(1)}" r="5" data-id="${getEntryKey(movie)}">
+                    <title>${t('ratings.pointTitle', { title: getDisplayTitle(movie), personal: personal.toFixed(1), tmdb: tmdb.toFixed(1) })}</title>
+                </circle>
+            `)}
+        </svg>
+    `;
+}
+
+function renderDisagreementList(pairs) {
+    if (!pairs.length) {
+        return html`<p class="detail-empty">${t('stats.noData')}</p>`;
+    }
+    return html`<ol class="ratings-list">${pairs.map(({ movie, personal, tmdb, difference }) => html`
+        <li>
+            <button type="button" class="stats-entry" data-id="${getEntryKey(movie)}">${getDisplayTitle(movie)}</button>
+            <span class="ratings-scores">${t('ratings.scores', { personal: personal.toFixed(1), tmdb: tmdb.toFixed(1) })}</span>
+            <span class="ratings-difference ${difference > 0 ? 'ratings-point-higher' : 'ratings-point-lower'}">${difference > 0 ? '+' : ''}${difference.toFixed(1)}</span>
+        </li>`)}</ol>`;
+}
+
+function renderRatings() {
+    const container = document.getElementById('ratings-content');
+    if (!container) {
+        return;
+    }
+    const pairs = getRatingPairs(allMovies);
+    if (!pairs.length) {
+        container.innerHTML = html`<p class="empty-message">${t('ratings.empty')}</p>`;
+        return;
+    }
+
+    const byDifference = [...pairs].sort((a, b) => b.difference - a.difference || compareByTitle(a.movie, b.movie));
+    const higher = byDifference.filter(pair => pair.difference > 0).slice(0, DISAGREEMENT_LIMIT);
+    const lower = byDifference.filter(pair => pair.difference < 0).reverse().slice(0, DISAGREEMENT_LIMIT);
+    const meanDifference = average(pairs.map(pair => pair.difference));
+
+    container.innerHTML = html`
+        <p class="ratings-summary">${t('ratings.summary', {
+            count: pairs.length,
+            difference: `${meanDifference > 0 ? '+' : ''}${meanDifference.toFixed(2)}`,
+            votes: RATINGS_MIN_VOTES,
+        })}</p>
+        ${renderRatingScatter(pairs)}
+        <div class="stats-columns">
+            <div>
+                <h3 class="stats-subtitle">${t('ratings.higher')}</h3>
+                ${renderDisagreementList(higher)}
+            </div>
+            <div>
+                <h3 class="stats-subtitle">${t('ratings.lower')}</h3>
+                ${renderDisagreementList(lower)}
+            </div>
+        </div>
+    `;
+}
+
+function collectDirectors(movies) {
+    const people = new Map();
+    movies.forEach(movie => {
+        getDirectors(movie).forEach(director => {
+            const key = getPersonKey(director);
+            if (!people.has(key)) {
+                people.set(key, { key, id: director.id, name: director.name, movies: [] });
+            }
+            const person = people.get(key);
+            if (!person.movies.includes(movie)) {
+                person.movies.push(movie);
+            }
+        });
+    });
+    return people;
+}
+
+function summarisePerson(person) {
+    const watched = person.movies.filter(movie => getSection(movie) === 'watched');
+    const dates = person.movies.flatMap(getFormattedWatchDates).sort();
+    return {
+        watchedCount: watched.length,
+        averageRating: average(person.movies.map(getPersonalRating).filter(rating => rating !== null)),
+        firstDate: dates[0] || null,
+        latestDate: dates[dates.length - 1] || null,
+    };
+}
+
+function renderPersonLink(person) {
+    if (!person) {
+        return '';
+    }
+    return html`<button type="button" class="person-link" data-person="${getPersonKey(person)}">${person.name}</button>`;
+}
+
+function renderDirectorIndex(people) {
+    const nameCounts = new Map();
+    people.forEach(person => nameCounts.set(person.name, (nameCounts.get(person.name) || 0) + 1));
+
+    const rows = [...people.values()]
+        .map(person => ({ person, summary: summarisePerson(person) }))
+        .sort((a, b) => (b.summary.watchedCount - a.summary.watchedCount)
+            || (b.person.movies.length - a.person.movies.length)
+            || pinyinCollator.compare(a.person.name, b.person.name));
+
+    if (!rows.length) {
+        return html`<p class="empty-message">${t('directors.empty')}</p>`;
+    }
+
+    return html`
+        <p class="directors-summary">${t('directors.summary', { count: rows.length })}</p>
+        <ol class="directors-index">
+            ${rows.map(({ person, summary }) => html`
+                <li>
+                    ${renderPersonLink(person)}
+                    ${nameCounts.get(person.name) > 1 && person.id ? html`<span class="person-id">TMDB #${person.id}</span>` : ''}
+                    <span class="directors-count">${t('directors.watched', { count: summary.watchedCount })}${person.movies.length > summary.watchedCount ? t('directors.inLibrary', { count: person.movies.length }) : ''}</span>
+                    <span class="directors-rating">${summary.averageRating === null ? '' : t('directors.average', { value: summary.averageRating.toFixed(1) })}</span>
+                </li>
+            `)}
+        </ol>
+    `;
+}
+
+function renderPersonPage(person) {
+    const summary = summarisePerson(person);
+    const facts = [
+        [t('person.watched'), t('person.count', { count: summary.watchedCount })],
+        [t('person.average'), summary.averageRating === null ? '—' : summary.averageRating.toFixed(1)],
+        [t('person.first'), formatDisplayDate(summary.firstDate) || '—'],
+        [t('person.latest'), formatDisplayDate(summary.latestDate) || '—'],
+    ];
+
+    return html`
+        <button type="button" class="back-link" data-person="">${t('person.back')}</button>
+        <div class="person-header">
+            <h2 class="section-title">${person.name}</h2>
+            ${person.id ? html`<a class="person-tmdb" href="https://www.themoviedb.org/person/${person.id}" target="_blank" rel="noopener noreferrer">${t('person.tmdb')}</a>` : ''}
+        </div>
+        <dl class="detail-facts">
+            ${facts.map(([label, value]) => html`<dt>${label}</dt><dd>${value}</dd>`)}
+        </dl>
+        <div class="movie-grid person-movies"></div>
+    `;
+}
+
+function renderDirectors() {
+    const container = document.getElementById('directors-content');
+    if (!container) {
+        return;
+    }
+    const people = collectDirectors(allMovies);
+    const person = currentPerson ? people.get(currentPerson) : null;
+    container.innerHTML = person ? renderPersonPage(person) : renderDirectorIndex(people);
+    // Person pages get their own card nodes; the cached ones belong to the gallery grid.
+    container.querySelector('.person-movies')?.append(
+        ...sortMovies(person.movies, 'watch-latest').map(movie => createMovieCard(movie)),
+    );
+}
+
+function showPerson(key) {
+    hideDetail();
+    currentPerson = key || null;
+    setView('directors');
+    window.scrollTo(0, 0);
+    writeUrlState({ push: true });
+}
+
+// Each list item pairs its entry with the list's own comment; missing entries are skipped.
+function getListEntries(list) {
+    return (Array.isArray(list.items) ? list.items : [])
+        .map(item => ({ movie: findMovieByKey(getEntryKey(item)), comment: item.comment || null }))
+        .filter(item => item.movie);
+}
+
+function renderListIndex() {
+    if (!curatedLists.length) {
+        return html`<p class="empty-message">${t('lists.empty')}</p>`;
+    }
+    return html`
+        <div class="list-index">
+            ${curatedLists.map(list => {
+                const entries = getListEntries(list);
+                return html`
+                    <article class="list-summary">
+                        <button type="button" class="list-link" data-list="${list.id}">${list.title}</button>
+                        <span class="list-count">${t('lists.count', { count: entries.length })}</span>
+                        ${list.description ? html`<p class="list-description">${list.description}</p>` : ''}
+                        <div class="list-preview" data-list="${list.id}"></div>
+                    </article>
+                `;
+            })}
+        </div>
+    `;
+}
+
+function renderListPage(list) {
+    return html`
+        <button type="button" class="back-link" data-list="">${t('lists.back')}</button>
+        <div class="section-header">
+            <h2 class="section-title">${list.title}</h2>
+        </div>
+        ${list.description ? html`<p class="list-description">${list.description}</p>` : ''}
+        <ol class="movie-grid list-items"></ol>
+    `;
+}
+
+function renderLists() {
+    const container = document.getElementById('lists-content');
+    if (!container) {
+        return;
+    }
+    const list = currentList ? curatedLists.find(item => String(item.id) === currentList) : null;
+    container.innerHTML = list ? renderListPage(list) : renderListIndex();
+
+    // Like person pages, lists build their own card nodes instead of borrowing the gallery's.
+    if (list) {
+        container.querySelector('.list-items').append(...getListEntries(list).map(({ movie, comment }, index) => createElement('li', { className: 'list-item' }, [
+            createElement('span', { className: 'list-rank' }, [String(index + 1)]),
+            createMovieCard(movie),
+            comment && createElement('p', { className: 'list-comment' }, [comment]),
+        ])));
+        return;
+    }
+    container.querySelectorAll('.list-preview').forEach(preview => {
+        const summary = curatedLists.find(item => String(item.id) === preview.getAttribute('data-list'));
+        preview.append(...getListEntries(summary).slice(0, LIST_PREVIEW_COUNT).map(({ movie }) => createPosterImage(movie, getDisplayTitle(movie))));
+    });
+}
+
+function showList(id) {
+    hideDetail();
+    currentList = id || null;
+    setView('lists');
+    window.scrollTo(0, 0);
+    writeUrlState({ push: true });
+}
+
+function loadPickHistory() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(PICK_STORAGE_KEY) || '[]');
+        return Array.isArray(stored) ? stored.filter(pick => pick && pick.id !== undefined && pick.pickedAt) : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+function savePickHistory(history) {
+    try {
+        localStorage.setItem(PICK_STORAGE_KEY, JSON.stringify(history.slice(-PICK_HISTORY_LIMIT)));
+    } catch (error) {
+        console.warn('Unable to persist pick history:', error);
+    }
+}
+
+function getLastPickDate(history, movie) {
+    const picks = history.filter(pick => getEntryKey(pick) === getEntryKey(movie));
+    return picks.length ? picks[picks.length - 1].pickedAt : null;
+}
+
+function getDaysSince(isoDate) {
+    return Math.floor((Date.now() - new Date(isoDate).getTime()) / 86400000);
+}
+
+function getPickRuntime(movie) {
+    return movie.mediaType === 'web-video' ? parseDuration(movie.duration) : getRuntime(movie);
+}
+
+// Rank 1 is the title that has waited longest.
+function getWaitingRank(movie, wishlist) {
+    return [...wishlist].sort(compareByWaiting).indexOf(movie) + 1;
+}
+
+function readPickerConstraints() {
+    const runtime = Number(document.getElementById('picker-runtime')?.value);
+    return {
+        type: document.getElementById('picker-type')?.value || 'all',
+        maxRuntime: runtime > 0 ? runtime : null,
+        genre: document.getElementById('picker-genre')?.value || '',
+        language: document.getElementById('picker-language')?.value || '',
+        skipRecent: document.getElementById('picker-skip-recent')?.checked ?? true,
+        weight: document.getElementById('picker-weight')?.value || 'even',
+    };
+}
+
+function getPickerCandidates(wishlist, constraints, history) {
+    return wishlist.filter(movie => {
+        if (constraints.type !== 'all' && (movie.mediaType || 'movie') !== constraints.type) {
+            return false;
+        }
+        // Titles without a known runtime cannot prove they fit, so a limit leaves them out.
+        if (constraints.maxRuntime && !(getPickRuntime(movie) <= constraints.maxRuntime)) {
+            return false;
+        }
+        if (constraints.genre && !FACET_GROUPS.genre.getValues(movie).includes(constraints.genre)) {
+            return false;
+        }
+        if (constraints.language && !FACET_GROUPS.language.getValues(movie).includes(constraints.language)) {
+            return false;
+        }
+        const lastPicked = getLastPickDate(history, movie);
+        return !(constraints.skipRecent && lastPicked && getDaysSince(lastPicked) < PICK_RECENT_DAYS);
+    });
+}
+
+// Ratings are squared so a 8.0 clearly beats a 6.0; unrated titles count as an average 6.0.
+function getPickWeight(movie, weight, wishlist) {
+    if (weight === 'rating') {
+        return (getTmdbRating(movie) || 6) ** 2;
+    }
+    if (weight === 'waiting') {
+        return wishlist.length - getWaitingRank(movie, wishlist) + 1;
+    }
+    return 1;
+}
+
+function drawWeighted(candidates, weights) {
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    let threshold = Math.random() * total;
+    for (let index = 0; index < candidates.length; index += 1) {
+        threshold -= weights[index];
+        if (threshold < 0) {
+            return index;
+        }
+    }
+    return candidates.length - 1;
+}
+
+function explainPick({ movie, constraints, chance, poolSize, wishlist, lastPicked }) {
+    const reasons = [t('picker.reasonPool', { count: poolSize, percent: Math.max(1, Math.round(chance * 100)) })];
+    if (constraints.type !== 'all') {
+        reasons.push(t('picker.reasonType', { type: t(`mediaType.${constraints.type}`) }));
+    }
+    if (constraints.maxRuntime) {
+        reasons.push(t('picker.reasonRuntime', { runtime: Math.round(getPickRuntime(movie)), max: constraints.maxRuntime }));
+    }
+    if (constraints.genre) {
+        reasons.push(t('picker.reasonGenre', { genre: getFacetLabel('genre', constraints.genre, [movie]) }));
+    }
+    if (constraints.language) {
+        reasons.push(t('picker.reasonLanguage', { language: getFacetLabel('language', constraints.language, [movie]) }));
+    }
+    if (constraints.weight === 'rating') {
+        const rating = getTmdbRating(movie);
+        reasons.push(rating ? t('picker.reasonRating', { rating: rating.toFixed(1) }) : t('picker.reasonUnrated'));
+    } else if (constraints.weight === 'waiting') {
+        reasons.push(t('picker.reasonWaiting', { rank: getWaitingRank(movie, wishlist), total: wishlist.length }));
+    }
+    if (!lastPicked) {
+        reasons.push(t('picker.reasonNeverPicked'));
+    } else {
+        const days = getDaysSince(lastPicked);
+        reasons.push(days > 0 ? t('picker.reasonLastPicked', { days }) : t('picker.reasonPickedToday'));
+    }
+    return reasons;
+}
+
+function renderPickerResult() {
+    const result = document.getElementById('picker-result');
+    const roll = document.getElementById('picker-roll');
+    if (!result) {
+        return;
+    }
+    const { current, message } = pickerState;
+    if (roll) {
+        roll.textContent = t(current ? 'picker.reroll' : 'picker.roll');
+    }
+    if (!current) {
+        result.innerHTML = message ? html`<p class="empty-message">${t(message)}</p>` : '';
+        return;
+    }
+    result.innerHTML = '';
+    result.append(
+        createMovieCard(current.movie),
+        createElement('div', { className: 'picker-reasons' }, [
+            createElement('h3', { className: 'facet-title' }, [t('picker.why')]),
+            createElement('ul', {}, explainPick(current).map(reason => createElement('li', {}, [reason]))),
+            createElement('button', { type: 'button', className: 'picker-accept', disabled: current.accepted }, [
+                t(current.accepted ? 'picker.accepted' : 'picker.accept'),
+            ]),
+        ]),
+    );
+}
+
+// Only a pick the viewer settles on goes into the history; rerolled titles are just skipped for this round.
+function acceptPick() {
+    const { current } = pickerState;
+    if (!current || current.accepted) {
+        return;
+    }
+    const { movie } = current;
+    savePickHistory([...loadPickHistory(), { id: movie.id, mediaType: movie.mediaType || 'movie', pickedAt: new Date().toISOString() }]);
+    current.accepted = true;
+    renderPickerResult();
+}
+
+function rollPicker() {
+    if (pickerState.current) {
+        pickerState.skipped.add(getEntryKey(pickerState.current.movie));
+    }
+    const constraints = readPickerConstraints();
+    const history = loadPickHistory();
+    const wishlist = allMovies.filter(movie => getSection(movie) === 'wishlist');
+    const matching = getPickerCandidates(wishlist, constraints, history);
+    let candidates = matching.filter(movie => !pickerState.skipped.has(getEntryKey(movie)));
+    // After every match has been rerolled away, start the round over rather than coming up empty.
+    if (!candidates.length && matching.length) {
+        pickerState.skipped = new Set();
+        candidates = matching.length > 1 ? matching.filter(movie => movie !== pickerState.current?.movie) : matching;
+    }
+    if (!candidates.length) {
+        pickerState.current = null;
+        pickerState.message = wishlist.length ? 'picker.noMatch' : 'section.wishlistEmpty';
+        renderPickerResult();
+        return;
+    }
+
+    const weights = candidates.map(movie => getPickWeight(movie, constraints.weight, wishlist));
+    const index = drawWeighted(candidates, weights);
+    const movie = candidates[index];
+    const chance = weights[index] / weights.reduce((sum, weight) => sum + weight, 0);
+    // Reasons are worked out at render time so they follow a later locale switch.
+    pickerState.current = {
+        movie,
+        constraints,
+        chance,
+        poolSize: candidates.length,
+        wishlist,
+        lastPicked: getLastPickDate(history, movie),
+        accepted: false,
+    };
+    pickerState.message = null;
+    renderPickerResult();
+}
+
+function renderPickerOptions() {
+    const wishlist = allMovies.filter(movie => getSection(movie) === 'wishlist');
+    const options = collectFacetOptions(wishlist);
+    [['picker-genre', 'genre'], ['picker-language', 'language']].forEach(([id, group]) => {
+        const select = document.getElementById(id);
+        if (!select) {
+            return;
+        }
+        const selected = select.value;
+        select.innerHTML = html`<option value="">${t('picker.any')}</option>${options[group].map(({ value, label }) => html`<option value="${value}">${label}</option>`)}`;
+        select.value = options[group].some(option => option.value === selected) ? selected : '';
+    });
+}
+
+function setupViewNav() {
+    document.querySelectorAll('.view-btn').forEach(button => {
+        button.addEventListener('click', () => {
+            currentPerson = null;
+            currentList = null;
+            setView(button.getAttribute('data-view'));
+            writeUrlState({ push: true });
+        });
+    });
+
+    const yearSelect = document.getElementById('stats-year');
+    const changeYear = year => {
+        statsYear = year;
+        renderStats();
+        writeUrlState();
+    };
+
+    yearSelect?.addEventListener('change', () => changeYear(Number(yearSelect.value)));
+    document.getElementById('stats-prev')?.addEventListener('click', () => {
+        const years = getViewingYears(allMovies);
+        changeYear(years[Math.min(years.indexOf(statsYear) + 1, years.length - 1)]);
+    });
+    document.getElementById('stats-next')?.addEventListener('click', () => {
+        const years = getViewingYears(allMovies);
+        changeYear(years[Math.max(years.indexOf(statsYear) - 1, 0)]);
+    });
+
+    const statsView = document.getElementById('stats-view');
+    statsView?.addEventListener('click', event => {
+        const cell = event.target.closest('.heatmap-cell[data-date]');
+        const jump = event.target.closest('.heatmap-jump');
+        const entry = event.target.closest('.stats-entry');
+        if (cell) {
+            renderHeatmapDay(cell.getAttribute('data-date'));
+        } else if (jump) {
+            jumpToCard(jump.getAttribute('data-id'));
+        } else if (entry) {
+            openDetail(entry.getAttribute('data-id'));
+        }
+    });
+    document.getElementById('lists-view')?.addEventListener('click', event => {
+        const link = event.target.closest('[data-list]');
+        if (link) {
+            showList(link.getAttribute('data-list'));
+        }
+    });
+    document.getElementById('ratings-view')?.addEventListener('click', event => {
+        const target = event.target.closest('[data-id]');
+        if (target) {
+            openDetail(target.getAttribute('data-id'));
+        }
+    });
+    statsView?.addEventListener('mouseover', event => {
+        const cell = event.target.closest('.heatmap-cell[data-date]');
+        if (cell) {
+            renderHeatmapDay(cell.getAttribute('data-date'));
+        }
+    });
+}
+
+function setupPersonLinks() {
+    // Person links live in the drawer, the stats view and the directors view.
+    document.addEventListener('click', event => {
+        const link = event.target.closest('[data-person]');
+        if (link) {
+            showPerson(link.getAttribute('data-person'));
+        }
+    });
+}
+
+function setupFilterButtons() {
+    const filterButtons = document.querySelectorAll('.filter-btn[data-filter]');
+
+    filterButtons.forEach(button => {
+        button.addEventListener('click', () => {
+            filterButtons.forEach(btn => btn.classList.remove('active'));
+            button.classList.add('active');
+
+            currentFilter = button.getAttribute('data-filter');
+            refreshGallery();
+        });
+    });
+}
+
+function setupLayoutToggle() {
+    document.querySelectorAll('.layout-btn').forEach(button => {
+        button.addEventListener('click', () => {
+            watchedLayout = button.getAttribute('data-layout') === 'timeline' ? 'timeline' : 'grid';
+            syncControlsWithState();
+            refreshGallery();
+        });
+    });
+}
+
+function setupWishlistGrouping() {
+    document.getElementById('wishlist-group')?.addEventListener('change', event => {
+        wishlistGroup = WISHLIST_GROUPS.includes(event.target.value) ? event.target.value : null;
+        refreshGallery();
+    });
+}
+
+function setupArchiveSwitcher() {
+    const select = document.getElementById('archive-year');
+    const changeYear = year => {
+        watchedYear = year || null;
+        refreshGallery();
+        document.getElementById('watched-section')?.scrollIntoView({ block: 'start' });
+    };
+
+    select?.addEventListener('change', () => changeYear(Number(select.value)));
+    // Years run newest first; "all years" sits after the newest one.
+    document.getElementById('archive-prev')?.addEventListener('click', () => {
+        const years = getArchiveYears();
+        changeYear(watchedYear ? years[Math.min(years.indexOf(watchedYear) + 1, years.length - 1)] : years[0]);
+    });
+    document.getElementById('archive-next')?.addEventListener('click', () => {
+        const years = getArchiveYears();
+        const index = years.indexOf(watchedYear);
+        changeYear(index > 0 ? years[index - 1] : null);
+    });
+}
+
+function setupLoadMore() {
+    const buttons = document.querySelectorAll('.load-more');
+    buttons.forEach(button => {
+        button.addEventListener('click', () => loadMore(button.getAttribute('data-section')));
+    });
+
+    if (typeof IntersectionObserver !== 'function') {
+        return;
+    }
+    const observer = new IntersectionObserver(entries => {
+        entries.forEach(entry => {
+            if (entry.isIntersecting && !entry.target.hidden) {
+                loadMore(entry.target.getAttribute('data-section'));
+                // The observer only reports changes; if a short page left the button in view,
+                // observing it afresh reports it again so the next page loads too.
+                observer.unobserve(entry.target);
+                observer.observe(entry.target);
+            }
+        });
+    }, { rootMargin: '400px 0px' });
+    buttons.forEach(button => observer.observe(button));
+}
+
+function setupSearchInput() {
+    const searchInput = document.getElementById('search-input');
+    if (!searchInput) {
+        return;
+    }
+
+    searchInput.addEventListener('input', () => {
+        searchQuery = searchInput.value;
+        refreshGallery();
+    });
+}
+
+function parseRatingInput(input) {
+    if (!input || input.value.trim() === '') {
+        return null;
+    }
+    const numeric = Number(input.value);
+    return Number.isNaN(numeric) ? null : numeric;
+}
+
+function setupFacetPanel() {
+    const panel = document.getElementById('facet-panel');
+    const toggle = document.getElementById('facet-toggle');
+    if (!panel || !toggle) {
+        return;
+    }
+
+    toggle.addEventListener('click', () => {
+        panel.hidden = !panel.hidden;
+        toggle.setAttribute('aria-expanded', String(!panel.hidden));
+    });
+
+    panel.addEventListener('click', event => {
+        const chip = event.target.closest('.facet-chip');
+        if (!chip) {
+            return;
+        }
+        const group = chip.closest('.facet-options')?.getAttribute('data-facet');
+        const key = FACET_GROUPS[group]?.key;
+        if (!key) {
+            return;
+        }
+        const value = chip.getAttribute('data-value');
+        activeFacets[key] = activeFacets[key].includes(value)
+            ? activeFacets[key].filter(item => item !== value)
+            : [...activeFacets[key], value];
+        refreshGallery();
+    });
+
+    const ratingMin = document.getElementById('rating-min');
+    const ratingMax = document.getElementById('rating-max');
+    const cinemaOnly = document.getElementById('cinema-only');
+    const clearButton = document.getElementById('facet-clear');
+
+    [ratingMin, ratingMax].forEach(input => {
+        input?.addEventListener('input', () => {
+            activeFacets.ratingMin = parseRatingInput(ratingMin);
+            activeFacets.ratingMax = parseRatingInput(ratingMax);
+            refreshGallery();
+        });
+    });
+
+    cinemaOnly?.addEventListener('change', () => {
+        activeFacets.cinemaOnly = cinemaOnly.checked;
+        refreshGallery();
+    });
+
+    clearButton?.addEventListener('click', () => {
+        activeFacets = createEmptyFacets();
+        if (ratingMin) ratingMin.value = '';
+        if (ratingMax) ratingMax.value = '';
+        if (cinemaOnly) cinemaOnly.checked = false;
+        refreshGallery();
+    });
+}
+
+function setupPicker() {
+    const panel = document.getElementById('picker-panel');
+    const toggle = document.getElementById('picker-toggle');
+    if (!panel || !toggle) {
+        return;
+    }
+    renderPickerOptions();
+
+    toggle.addEventListener('click', () => {
+        panel.hidden = !panel.hidden;
+        toggle.setAttribute('aria-expanded', String(!panel.hidden));
+    });
+    document.getElementById('picker-roll')?.addEventListener('click', rollPicker);
+    document.getElementById('picker-result')?.addEventListener('click', event => {
+        if (event.target.closest('.picker-accept')) {
+            acceptPick();
+        }
+    });
+    // New constraints start a fresh round, so earlier rerolls are allowed again.
+    panel.querySelector('.picker-constraints')?.addEventListener('change', () => {
+        pickerState = { current: null, skipped: new Set() };
+        renderPickerResult();
+    });
+}
+
+function renderSortOptions() {
+    document.querySelectorAll('.sort-select').forEach(select => {
+        select.innerHTML = html`${getSortKeys(select.getAttribute('data-section')).map(key => html`<option value="${key}">${t(`sort.${key}`)}</option>`)}`;
+    });
+}
+
+function setupSortSelects() {
+    renderSortOptions();
+    document.querySelectorAll('.sort-select').forEach(select => {
+        const section = select.getAttribute('data-section');
+        select.addEventListener('change', () => {
+            sortPreferences[section] = select.value;
+            saveSortPreferences({ ...loadSortPreferences(), [section]: select.value });
+            refreshGallery();
+        });
+    });
+}
+
+function translateStaticText() {
+    document.documentElement.lang = currentLocale;
+    document.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = t(element.getAttribute('data-i18n'));
+    });
+    // data-i18n-attr="aria-label:key;placeholder:key"
+    document.querySelectorAll('[data-i18n-attr]').forEach(element => {
+        element.getAttribute('data-i18n-attr').split(';').forEach(pair => {
+            const [attribute, key] = pair.split(':').map(part => part.trim());
+            if (attribute && key) {
+                element.setAttribute(attribute, t(key));
+            }
+        });
+    });
+    const localeSelect = document.getElementById('locale-select');
+    if (localeSelect) {
+        localeSelect.value = currentLocale;
+    }
+}
+
+function setLocale(locale) {
+    currentLocale = LOCALE_MESSAGES[locale] ? locale : DEFAULT_LOCALE;
+    try {
+        localStorage.setItem(LOCALE_STORAGE_KEY, currentLocale);
+    } catch (error) {
+        console.warn('Unable to persist locale:', error);
+    }
+
+    // Cached cards carry translated labels, so rebuild them from scratch.
+    cardCache = new Map();
+    sectionStates = {};
+    translateStaticText();
+    renderSortOptions();
+    renderPickerOptions();
+    renderPickerResult();
+    syncControlsWithState();
+    renderMovies(allMovies);
+    setView(currentView);
+    if (openEntryKey) {
+        showDetail(openEntryKey);
+    }
+}
+
+function setupLocaleSwitcher() {
+    const select = document.getElementById('locale-select');
+    if (!select) {
+        return;
+    }
+    select.innerHTML = html`${Object.keys(LOCALE_MESSAGES).map(locale => html`<option value="${locale}" lang="${locale}">${LOCALE_MESSAGES[locale]['locale.name']}</option>`)}`;
+    select.value = currentLocale;
+    select.addEventListener('change', () => setLocale(select.value));
+}
+
+function showUpdateBanner(messageKey) {
+    const banner = document.getElementById('update-banner');
+    const message = banner?.querySelector('[data-i18n]');
+    if (!banner) {
+        return;
+    }
+    // A new version of the page matters more than new data; reloading picks up both.
+    if (message && (banner.hidden || messageKey === 'update.appMessage')) {
+        message.setAttribute('data-i18n', messageKey);
+        message.textContent = t(messageKey);
+    }
+    banner.hidden = false;
+}
+
+// The worker serves cached copies first and reports when the network has something newer.
+// Until the first snapshot has loaded there is nothing to compare a data update against.
+function handleServiceWorkerMessage(event) {
+    const { type, generatedAt } = event.data || {};
+    if (type === 'movie-data-updated' && dataGeneratedAt && generatedAt !== dataGeneratedAt) {
+        showUpdateBanner('update.message');
+    } else if (type === 'shell-updated') {
+        showUpdateBanner('update.appMessage');
+    }
+}
+
+function setupServiceWorker() {
+    if (!('serviceWorker' in navigator)) {
+        return;
+    }
+    navigator.serviceWorker.register('sw.js').catch(error => {
+        console.error('Service worker registration failed:', error);
+    });
+    document.getElementById('update-reload')?.addEventListener('click', () => window.location.reload());
+    document.getElementById('update-dismiss')?.addEventListener('click', () => {
+        document.getElementById('update-banner').hidden = true;
+    });
+}
+
+async function initGallery() {
+    currentLocale = detectLocale();
+    translateStaticText();
+    setupServiceWorker();
+    allMovies = await fetchMoviesFromList();
+    searchIndex = buildSearchIndex(allMovies);
+    addedOrder = new Map(allMovies.map((movie, index) => [movie, index]));
+    setupLocaleSwitcher();
     setupFilterButtons();
+    setupLayoutToggle();
+    setupWishlistGrouping();
+    setupArchiveSwitcher();
+    setupLoadMore();
+    setupSearchInput();
+    setupFacetPanel();
+    setupPicker();
+    setupSortSelects();
+    setupDetailDrawer();
+    setupViewNav();
+    setupPersonLinks();
+    syncWithUrl();
+    window.addEventListener('popstate', syncWithUrl);
 }
 
 window.onload = initGallery;
+// Worker messages are delivered from DOMContentLoaded on, and a changed shell file is
+// usually reported before window.onload, so listen as soon as the script runs.
+window.navigator?.serviceWorker?.addEventListener('message', handleServiceWorkerMessage);
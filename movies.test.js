@@ -0,0 +1,227 @@
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import test from 'node:test';
+import vm from 'node:vm';
+import * as pickWishlist from './scripts/pick_wishlist.js';
+
+// movies.js is a classic browser script, so load it (after locales.js) into a sandbox of its own.
+// Nothing touches the DOM until window.onload fires, which never happens here.
+const context = vm.createContext({ window: {}, console });
+['locales.js', 'movies.js'].forEach(file => {
+    vm.runInContext(readFileSync(new URL(file, import.meta.url), 'utf-8'), context, { filename: file });
+});
+const run = code => vm.runInContext(code, context);
+const {
+    SORT_OPTIONS,
+    buildArchiveEntries,
+    buildSearchIndex,
+    buildTimelineEntries,
+    chainComparators,
+    compareByValue,
+    createEmptyFacets,
+    filterMoviesBySearch,
+    getPinyinInitial,
+    getSection,
+    getSortKeys,
+    getTvProgress,
+    getWaitingRank,
+    matchesFacets,
+    PICK_RECENT_DAYS,
+    sortMovies,
+} = run(`({
+    SORT_OPTIONS,
+    buildArchiveEntries,
+    buildSearchIndex,
+    buildTimelineEntries,
+    chainComparators,
+    compareByValue,
+    createEmptyFacets,
+    filterMoviesBySearch,
+    getPinyinInitial,
+    getSection,
+    getSortKeys,
+    getTvProgress,
+    getWaitingRank,
+    matchesFacets,
+    PICK_RECENT_DAYS,
+    sortMovies,
+})`);
+
+// Results come from the sandbox's realm; copy them out before comparing.
+const titles = movies => Array.from(movies, movie => movie.title);
+
+// Mirrors initGallery(): the library order is the order of the snapshot's items.
+function useLibrary(movies) {
+    context.movies = movies;
+    run('allMovies = movies; addedOrder = new Map(movies.map((movie, index) => [movie, index])); searchIndex = buildSearchIndex(movies);');
+    return movies;
+}
+
+test('chainComparators falls through to the next comparator on a tie', () => {
+    const byLength = (a, b) => a.length - b.length;
+    const alphabetical = (a, b) => a.localeCompare(b);
+    const compare = chainComparators(byLength, alphabetical);
+    assert.deepEqual(['bb', 'c', 'aa', 'a'].sort(compare), ['a', 'c', 'aa', 'bb']);
+    assert.equal(chainComparators(byLength)('ab', 'cd'), 0);
+});
+
+test('compareByValue keeps missing values last in either direction', () => {
+    const items = [{ value: 2 }, { value: null }, { value: 5 }, {}];
+    const values = direction => items.slice().sort(compareByValue(item => item.value, direction)).map(item => item.value);
+    assert.deepEqual(values('desc'), [5, 2, null, undefined]);
+    assert.deepEqual(values('asc'), [2, 5, null, undefined]);
+});
+
+test('rating sort orders by my rating, then TMDB rating, unrated last', () => {
+    const movies = useLibrary([
+        { title: 'C', rating: 8, tmdb: { vote_average: 6 } },
+        { title: 'A', tmdb: { vote_average: 9 } },
+        { title: 'B', rating: 8, tmdb: { vote_average: 7.5 } },
+        { title: 'D', rating: 9.5 },
+    ]);
+    assert.deepEqual(titles(sortMovies(movies, 'rating')), ['D', 'B', 'C', 'A']);
+    assert.deepEqual(titles(sortMovies(movies, 'tmdb-rating')), ['A', 'B', 'C', 'D']);
+});
+
+test('watch-date sorts use the latest or the first viewing', () => {
+    const movies = useLibrary([
+        { title: 'Early', watchDates: ['2024-01-05', '2025-06-01'] },
+        { title: 'Late', watchDates: ['2025-03-01'] },
+        { title: 'Never' },
+    ]);
+    assert.deepEqual(titles(sortMovies(movies, 'watch-latest')), ['Early', 'Late', 'Never']);
+    assert.deepEqual(titles(sortMovies(movies, 'watch-first')), ['Late', 'Early', 'Never']);
+});
+
+test('added keeps the library order while added-date follows addedAt', () => {
+    const movies = useLibrary([
+        { title: 'Top', addedAt: '2026-01-01' },
+        { title: 'Middle' },
+        { title: 'Bottom', addedAt: '2026-05-01' },
+    ]);
+    assert.deepEqual(titles(sortMovies(movies, 'added')), ['Top', 'Middle', 'Bottom']);
+    assert.deepEqual(titles(sortMovies(movies, 'added-date')), ['Bottom', 'Top', 'Middle']);
+});
+
+test('waiting puts entries without addedAt first, oldest library entries before newer ones', () => {
+    const movies = useLibrary([
+        { title: 'New undated', status: 'wishlist' },
+        { title: 'Recent', status: 'wishlist', addedAt: '2026-09-01', priority: 'must-see' },
+        { title: 'Old undated', status: 'wishlist', priority: 'someday' },
+        { title: 'Older', status: 'wishlist', addedAt: '2026-02-01' },
+    ]);
+    assert.deepEqual(titles(sortMovies(movies, 'waiting')), ['Old undated', 'New undated', 'Older', 'Recent']);
+    assert.deepEqual(titles(sortMovies(movies, 'priority')), ['Recent', 'New undated', 'Older', 'Old undated']);
+});
+
+test('wishlist-only sorts are not offered elsewhere, and unknown keys fall back to release', () => {
+    assert.ok(getSortKeys('wishlist').includes('waiting'));
+    assert.ok(!getSortKeys('watched').includes('waiting'));
+    assert.ok(!getSortKeys('watched').includes('priority'));
+    assert.ok(Object.keys(SORT_OPTIONS).every(key => typeof SORT_OPTIONS[key].comparator === 'function'));
+    const movies = useLibrary([
+        { title: 'Old', tmdb: { release_date: '1990-01-01' } },
+        { title: 'New', tmdb: { release_date: '2020-01-01' } },
+    ]);
+    assert.deepEqual(titles(sortMovies(movies, 'no-such-sort')), ['New', 'Old']);
+});
+
+test('getPinyinInitial maps characters to their pinyin initial', () => {
+    assert.equal([...'血色将至'].map(getPinyinInitial).join(''), 'xsjz');
+    assert.equal(getPinyinInitial('阿'), 'a');
+    assert.equal(getPinyinInitial('做'), 'z');
+    assert.equal(getPinyinInitial('x'), 'x');
+});
+
+test('filterMoviesBySearch matches text, pinyin initials and traditional input', () => {
+    const movies = useLibrary([
+        { title: '血色将至', tmdb: { original_title: 'There Will Be Blood', directors: [{ id: 4762, name: '保罗·托马斯·安德森' }] } },
+        { title: '土拨鼠之日', note: '循环', tags: ['喜剧'] },
+    ]);
+    assert.deepEqual(titles(filterMoviesBySearch(movies, 'xsjz')), ['血色将至']);
+    assert.deepEqual(titles(filterMoviesBySearch(movies, 'xszs')), []);
+    assert.deepEqual(titles(filterMoviesBySearch(movies, '血色將至')), ['血色将至']);
+    assert.deepEqual(titles(filterMoviesBySearch(movies, 'there will')), ['血色将至']);
+    assert.deepEqual(titles(filterMoviesBySearch(movies, '保罗托马斯')), ['血色将至']);
+    assert.deepEqual(titles(filterMoviesBySearch(movies, '喜剧')), ['土拨鼠之日']);
+    assert.equal(filterMoviesBySearch(movies, '  ').length, 2);
+});
+
+test('matchesFacets combines genres with AND, decades with OR, and checks rating and cinema', () => {
+    const movie = {
+        rating: 7.5,
+        inCinema: true,
+        tmdb: { release_date: '1994-09-23', genres: [{ id: 18 }, { id: 80 }], original_language: 'en' },
+    };
+    const facets = overrides => ({ ...createEmptyFacets(), ...overrides });
+    assert.ok(matchesFacets(movie, facets({})));
+    assert.ok(matchesFacets(movie, facets({ genres: ['18', '80'] })));
+    assert.ok(!matchesFacets(movie, facets({ genres: ['18', '35'] })));
+    assert.ok(matchesFacets(movie, facets({ decades: ['1980', '1990'] })));
+    assert.ok(!matchesFacets(movie, facets({ decades: ['2000'] })));
+    assert.ok(matchesFacets(movie, facets({ decades: ['2000'] }), 'decade'));
+    assert.ok(matchesFacets(movie, facets({ ratingMin: 7, ratingMax: 8 })));
+    assert.ok(!matchesFacets(movie, facets({ ratingMin: 8 })));
+    assert.ok(!matchesFacets({ ...movie, rating: undefined }, facets({ ratingMax: 10 })));
+    assert.ok(matchesFacets(movie, facets({ cinemaOnly: true })));
+    assert.ok(!matchesFacets({ ...movie, inCinema: false }, facets({ cinemaOnly: true })));
+});
+
+test('buildArchiveEntries gives one card per title, dated by its latest viewing that year', () => {
+    const movies = useLibrary([
+        { id: 1, title: 'Twice', watchDates: ['2025-02-01', '2025-08-01'] },
+        { id: 2, title: 'Returning', mediaType: 'tv', watchDates: ['2023-05-01', '2025-05-01'] },
+    ]);
+    const entries = buildArchiveEntries(movies, 2025, 'watch-latest');
+    assert.deepEqual(Array.from(entries, entry => [entry.key, entry.viewingDate, entry.isRewatch]), [
+        ['archive:movie:1@2025-08-01', '2025-08-01', false],
+        ['archive:tv:2@2025-05-01', '2025-05-01', true],
+    ]);
+    assert.deepEqual(titles(Array.from(buildArchiveEntries(movies, 2025, 'watch-first'), entry => entry.movie)), ['Returning', 'Twice']);
+});
+
+test('buildTimelineEntries keeps one uniquely keyed card per viewing', () => {
+    const movies = useLibrary([{ id: 1, title: 'Double feature', watchDates: ['2025-03-01', '2025-03-01T21:00:00Z'] }]);
+    const entries = buildTimelineEntries(movies);
+    assert.equal(entries.length, 2);
+    assert.equal(new Set(Array.from(entries, entry => entry.key)).size, 2);
+    assert.deepEqual(Array.from(entries, entry => entry.isRewatch).sort(), [false, true]);
+});
+
+test('getTvProgress joins TMDB seasons with recorded progress', () => {
+    const show = {
+        mediaType: 'tv',
+        status: 'watched',
+        tmdb: { seasons: [{ season_number: 1, episode_count: 10 }, { season_number: 2, episode_count: 8 }] },
+        seasons: [{ season: 1, episodesWatched: 12 }, { season: 2, episodesWatched: 3, rating: 8 }],
+    };
+    const progress = getTvProgress(show);
+    assert.equal(progress.total, 18);
+    assert.equal(progress.watched, 13);
+    assert.equal(progress.current.number, 2);
+    assert.equal(progress.current.rating, 8);
+
+    assert.equal(getTvProgress({ ...show, mediaType: 'movie' }), null);
+    assert.equal(getTvProgress({ ...show, seasons: [] }), null);
+    const started = getTvProgress({ ...show, status: 'watching', seasons: [] });
+    assert.equal(started.watched, 0);
+    assert.equal(started.current.number, 1);
+});
+
+// scripts/pick_wishlist.js can't load this browser script, so it keeps its own copies of these rules.
+test('the command-line picker agrees with the page on the wishlist and how long titles have waited', () => {
+    assert.equal(pickWishlist.PICK_RECENT_DAYS, PICK_RECENT_DAYS);
+    const movies = useLibrary([
+        { id: 1, title: 'Newest undated', status: 'wishlist' },
+        { id: 2, title: 'Watching', status: 'watching' },
+        { id: 3, title: 'Dated late', status: 'planned', addedAt: '2026-09-01' },
+        { id: 4, title: 'Watched' },
+        { id: 5, title: 'Dated early', status: 'Wishlist', addedAt: '2026-02-01' },
+        { id: 6, title: 'Oldest undated', status: 'wishlist' },
+        { id: 7, title: 'Ongoing', status: 'ongoing' },
+    ]);
+    movies.forEach(movie => assert.equal(pickWishlist.isWishlist(movie), getSection(movie) === 'wishlist', movie.title));
+    const wishlist = movies.filter(pickWishlist.isWishlist);
+    assert.equal(wishlist.length, 4);
+    wishlist.forEach(movie => assert.equal(pickWishlist.getWaitingRank(movie, wishlist), getWaitingRank(movie, wishlist), movie.title));
+});
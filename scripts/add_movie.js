@@ -3,6 +3,9 @@ import { readFile, writeFile } from 'node:fs/promises';
 import { resolve } from 'node:path';
 import { stdin, stdout } from 'node:process';
 import readline from 'node:readline/promises';
+import { isMainModule } from './lib/cli.js';
+import { formatLocalDate, normalisePriority, parseTags } from './lib/library.js';
+import { getEntryKey } from './lib/site.js';
 
 const TMDB_API_KEY = process.env.TMDB_API_KEY;
 const TMDB_LANGUAGE = process.env.TMDB_LANGUAGE || 'zh-CN';
@@ -13,12 +16,8 @@ const TMDB_SEARCH_TV_URL = 'https://api.themoviedb.org/3/search/tv';
 const LIBRARY_PATH = resolve(process.cwd(), 'data/library.json');
 const MOVIES_PATH = resolve(process.cwd(), 'data/movies.json');
 
-if (!TMDB_API_KEY) {
-    console.error('Missing TMDB_API_KEY environment variable.');
-    process.exit(1);
-}
-
-const rl = readline.createInterface({ input: stdin, output: stdout });
+// Created only when run as a command, so tests can import mergeEntry().
+let rl = null;
 
 async function prompt(question, { required = false } = {}) {
     const answer = await rl.question(question);
@@ -138,14 +137,14 @@ async function loadLibrary() {
     }
 }
 
-async function loadExistingMovieIds() {
+async function loadExistingMovieKeys() {
     try {
         const raw = await readFile(MOVIES_PATH, 'utf-8');
         const parsed = JSON.parse(raw);
         if (!Array.isArray(parsed?.items)) {
             return new Set();
         }
-        return new Set(parsed.items.map(item => String(item.id)));
+        return new Set(parsed.items.map(getEntryKey));
     } catch (error) {
         if (error.code === 'ENOENT') {
             return new Set();
@@ -199,7 +198,7 @@ function flattenLists(library) {
     ];
 }
 
-function mergeEntry(existing, incoming) {
+export function mergeEntry(existing, incoming) {
     const merged = { ...incoming };
 
     if (existing) {
@@ -209,9 +208,25 @@ function mergeEntry(existing, incoming) {
         if (typeof merged.rating !== 'number' && typeof existing.rating === 'number') {
             merged.rating = existing.rating;
         }
+        if (Array.isArray(existing.tags) && existing.tags.length) {
+            merged.tags = Array.from(new Set([...existing.tags, ...(merged.tags || [])]));
+        }
         if (!merged.mediaType && existing.mediaType) {
             merged.mediaType = existing.mediaType;
         }
+        // Re-adding an entry keeps the date it first went into the library; one from before
+        // `addedAt` was recorded stays undated, which keeps it among the longest waiting.
+        if (existing.addedAt) {
+            merged.addedAt = existing.addedAt;
+        } else {
+            delete merged.addedAt;
+        }
+        if (!merged.priority && existing.priority) {
+            merged.priority = existing.priority;
+        }
+        if (!merged.recommendedBy && existing.recommendedBy) {
+            merged.recommendedBy = existing.recommendedBy;
+        }
         const existingDates = Array.isArray(existing.watchDates)
             ? existing.watchDates
             : existing.watchDate
@@ -250,7 +265,7 @@ function insertEntry(library, entry) {
 
     let existingEntry = null;
     Object.values(buckets).forEach(list => {
-        const index = list.findIndex(item => String(item.id) === String(entry.id));
+        const index = list.findIndex(item => getEntryKey(item) === getEntryKey(entry));
         if (index !== -1) {
             existingEntry = list[index];
             list.splice(index, 1);
@@ -263,6 +278,10 @@ function insertEntry(library, entry) {
 }
 
 async function main() {
+    if (!TMDB_API_KEY) {
+        console.error('Missing TMDB_API_KEY environment variable.');
+        process.exit(1);
+    }
     console.log('=== 添加影片到观影清单 ===');
 
     const titleInput = await prompt('影片名称（中文）：', { required: true });
@@ -285,8 +304,9 @@ async function main() {
         : (chosen.title || chosen.original_title);
     console.log(`已选择：${chosenTitle} (TMDB ID ${chosen.id})`);
 
-    const existingIds = await loadExistingMovieIds();
-    if (existingIds.has(String(chosen.id))) {
+    const chosenKey = getEntryKey({ id: chosen.id, mediaType: chosen.media_type });
+    const existingKeys = await loadExistingMovieKeys();
+    if (existingKeys.has(chosenKey)) {
         console.log('提示：该影片已存在于 data/movies.json 中，无需重复添加。');
         return;
     }
@@ -301,7 +321,7 @@ async function main() {
     }
 
     const library = await loadLibrary();
-    const existing = flattenLists(library).find(item => String(item.id) === String(chosen.id));
+    const existing = flattenLists(library).find(item => getEntryKey(item) === chosenKey);
 
     let watchDates = [];
     if (status === 'watched') {
@@ -313,6 +333,18 @@ async function main() {
     }
 
     const note = await prompt('备注（可留空）：');
+    if (existing?.tags?.length) {
+        console.log(`当前标签：${existing.tags.join(', ')}`);
+    }
+    const tags = parseTags(await prompt('标签（多个用逗号分隔，可留空）：'));
+    let priority = null;
+    while (status === 'wishlist' && !priority) {
+        priority = normalisePriority(await prompt('优先级（1=必看，2=普通，3=有空再看，默认 2）：'));
+        if (!priority) {
+            console.log('无法识别的优先级，请输入 1/2/3 或 对应中文。');
+        }
+    }
+    const recommendedBy = await prompt(`推荐人（可留空${existing?.recommendedBy ? `，默认保留「${existing.recommendedBy}」` : ''}）：`);
     const ratingInput = status === 'watched'
         ? await prompt('评分（0-10，可留空）：')
         : '';
@@ -333,11 +365,21 @@ async function main() {
         status,
         note: note || null,
         watchDates: watchDates.length ? watchDates : undefined,
+        addedAt: formatLocalDate(),
     };
 
     if (rating !== null) {
         entry.rating = rating;
     }
+    if (tags.length) {
+        entry.tags = tags;
+    }
+    if (priority) {
+        entry.priority = priority;
+    }
+    if (recommendedBy) {
+        entry.recommendedBy = recommendedBy;
+    }
 
     insertEntry(library, entry);
 
@@ -348,9 +390,12 @@ async function main() {
     console.log('2. 部署或提交更新后的 data/ 目录');
 }
 
-main()
-    .catch(error => {
-        console.error('添加影片失败：', error.message);
-        process.exitCode = 1;
-    })
-    .finally(() => rl.close());
+if (isMainModule(import.meta.url)) {
+    rl = readline.createInterface({ input: stdin, output: stdout });
+    main()
+        .catch(error => {
+            console.error('添加影片失败：', error.message);
+            process.exitCode = 1;
+        })
+        .finally(() => rl.close());
+}
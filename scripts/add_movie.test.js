@@ -0,0 +1,22 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { mergeEntry } from './add_movie.js';
+
+test('mergeEntry keeps the first addedAt, and leaves entries from before addedAt undated', () => {
+    const incoming = { id: 1, status: 'wishlist', addedAt: '2026-10-19', watchDates: undefined };
+    assert.equal(mergeEntry({ id: 1, addedAt: '2025-03-01' }, incoming).addedAt, '2025-03-01');
+    assert.ok(!('addedAt' in mergeEntry({ id: 1, status: 'wishlist' }, incoming)));
+    assert.equal(mergeEntry(null, incoming).addedAt, '2026-10-19');
+});
+
+test('mergeEntry combines watch dates and tags and keeps existing notes and ratings', () => {
+    const merged = mergeEntry(
+        { id: 1, note: '旧备注', rating: 8, tags: ['科幻'], watchDates: ['2024-05-01'] },
+        { id: 1, status: 'watched', note: null, tags: ['重温'], watchDates: ['2025-10-01', '2024-05-01'] },
+    );
+    assert.equal(merged.note, '旧备注');
+    assert.equal(merged.rating, 8);
+    assert.deepEqual(merged.tags, ['科幻', '重温']);
+    assert.deepEqual(merged.watchDates, ['2025-10-01', '2024-05-01']);
+    assert.ok(!('watchDate' in merged));
+});
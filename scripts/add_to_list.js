@@ -0,0 +1,148 @@
+#!/usr/bin/env node
+import { readFile, writeFile } from 'node:fs/promises';
+import { resolve } from 'node:path';
+import { stdin, stdout } from 'node:process';
+import readline from 'node:readline/promises';
+import { getEntryKey } from './lib/site.js';
+
+const LIBRARY_PATH = resolve(process.cwd(), 'data/library.json');
+const MAX_MATCHES = 10;
+
+const rl = readline.createInterface({ input: stdin, output: stdout });
+
+async function prompt(question, { required = false } = {}) {
+    const answer = await rl.question(question);
+    const trimmed = answer.trim();
+    if (required && !trimmed) {
+        console.log('不能为空，请重新输入。');
+        return prompt(question, { required });
+    }
+    return trimmed;
+}
+
+async function loadLibrary() {
+    const raw = await readFile(LIBRARY_PATH, 'utf-8');
+    const parsed = JSON.parse(raw);
+    parsed.watching = Array.isArray(parsed.watching) ? parsed.watching : [];
+    parsed.watched = Array.isArray(parsed.watched) ? parsed.watched : [];
+    parsed.wishlist = Array.isArray(parsed.wishlist) ? parsed.wishlist : [];
+    parsed.lists = Array.isArray(parsed.lists) ? parsed.lists : [];
+    return parsed;
+}
+
+async function saveLibrary(library) {
+    await writeFile(LIBRARY_PATH, `${JSON.stringify(library, null, 2)}\n`);
+    console.log(`\n已更新 ${LIBRARY_PATH}`);
+}
+
+// Non-ASCII titles (most of ours) fall back to a numbered ID.
+function createListId(title, lists) {
+    const slug = title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+    const base = slug || `list-${lists.length + 1}`;
+    let id = base;
+    let suffix = 2;
+    while (lists.some(list => list.id === id)) {
+        id = `${base}-${suffix}`;
+        suffix += 1;
+    }
+    return id;
+}
+
+async function chooseList(library) {
+    console.log('\n现有片单：');
+    library.lists.forEach((list, index) => {
+        const count = Array.isArray(list.items) ? list.items.length : 0;
+        console.log(`${index + 1}. ${list.title || list.id}（${count} 部）`);
+    });
+    console.log('0. 新建片单');
+
+    const choice = Number(await prompt('请选择编号：', { required: true }));
+    if (!Number.isInteger(choice) || choice < 0 || choice > library.lists.length) {
+        console.log('输入无效，请重新尝试。');
+        return chooseList(library);
+    }
+    if (choice > 0) {
+        return library.lists[choice - 1];
+    }
+
+    const title = await prompt('片单名称：', { required: true });
+    const idInput = await prompt(`片单 ID（用于链接，默认 ${createListId(title, library.lists)}）：`);
+    const id = idInput && !library.lists.some(list => list.id === idInput) ? idInput : createListId(title, library.lists);
+    const description = await prompt('片单简介（可留空）：');
+    const list = { id, title, description: description || null, items: [] };
+    library.lists.push(list);
+    return list;
+}
+
+function findEntries(library, keyword) {
+    const needle = keyword.toLowerCase();
+    const entries = [...library.watching, ...library.watched, ...library.wishlist];
+    return entries.filter(entry => String(entry.id) === keyword
+        || (entry.title || '').toLowerCase().includes(needle));
+}
+
+async function chooseEntry(library) {
+    const keyword = await prompt('\n要加入的片名关键词或 ID（留空取消）：');
+    if (!keyword) {
+        return null;
+    }
+    const matches = findEntries(library, keyword).slice(0, MAX_MATCHES);
+    if (!matches.length) {
+        console.log('片库中没有匹配的条目，请先用 add_movie.js 添加。');
+        return chooseEntry(library);
+    }
+    if (matches.length === 1) {
+        return matches[0];
+    }
+
+    matches.forEach((entry, index) => {
+        console.log(`${index + 1}. ${entry.title || '(未命名)'}（${entry.mediaType || 'movie'} ${entry.id}）`);
+    });
+    console.log('0. 重新输入关键词');
+    const choice = Number(await prompt('请选择编号：', { required: true }));
+    if (!Number.isInteger(choice) || choice < 1 || choice > matches.length) {
+        return chooseEntry(library);
+    }
+    return matches[choice - 1];
+}
+
+async function main() {
+    console.log('=== 添加条目到片单 ===');
+    const library = await loadLibrary();
+    const list = await chooseList(library);
+    list.items = Array.isArray(list.items) ? list.items : [];
+
+    const entry = await chooseEntry(library);
+    if (!entry) {
+        console.log('操作已取消。');
+        return;
+    }
+
+    const existingIndex = list.items.findIndex(item => getEntryKey(item) === getEntryKey(entry));
+    const existing = existingIndex === -1 ? null : list.items.splice(existingIndex, 1)[0];
+    if (existing) {
+        console.log(`「${entry.title}」已在片单第 ${existingIndex + 1} 位，将按新的排名与短评更新。`);
+    }
+
+    const positionInput = await prompt(`排名（1-${list.items.length + 1}，默认排在最后）：`);
+    const position = Number(positionInput);
+    const index = Number.isInteger(position) && position >= 1 && position <= list.items.length + 1
+        ? position - 1
+        : list.items.length;
+
+    const previousComment = typeof existing === 'object' && existing ? existing.comment : null;
+    const commentInput = await prompt(`短评（可留空${previousComment ? `，默认保留「${previousComment}」` : ''}）：`);
+
+    list.items.splice(index, 0, { id: entry.id, mediaType: entry.mediaType || 'movie', comment: commentInput || previousComment || null });
+    await saveLibrary(library);
+
+    console.log(`已把「${entry.title}」放在「${list.title}」第 ${index + 1} 位。`);
+    console.log('请运行 `TMDB_API_KEY="..." node scripts/fetch_movies.js` 以刷新数据。');
+}
+
+main()
+    .catch(error => {
+        console.error('操作失败：', error.message);
+        process.exitCode = 1;
+    })
+    .finally(() => rl.close());
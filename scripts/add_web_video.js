@@ -3,6 +3,7 @@ import { readFile, writeFile } from 'node:fs/promises';
 import { resolve } from 'node:path';
 import { stdin, stdout } from 'node:process';
 import readline from 'node:readline/promises';
+import { formatLocalDate, normalisePriority, parseTags } from './lib/library.js';
 
 const LIBRARY_PATH = resolve(process.cwd(), 'data/library.json');
 
@@ -93,6 +94,15 @@ async function main() {
     }
 
     const note = await prompt('备注：');
+    const tags = parseTags(await prompt('标签（多个用逗号分隔，可留空）：'));
+    let priority = null;
+    while (status === 'wishlist' && !priority) {
+        priority = normalisePriority(await prompt('优先级（1=必看，2=普通，3=有空再看，默认 2）：'));
+        if (!priority) {
+            console.log('无法识别的优先级，请输入 1/2/3 或 对应中文。');
+        }
+    }
+    const recommendedBy = await prompt('推荐人（可留空）：');
 
     const id = generateId(platformInfo.name, title);
 
@@ -107,8 +117,19 @@ async function main() {
         duration: duration || null,
         status,
         note: note || null,
+        addedAt: formatLocalDate(),
     };
 
+    if (tags.length) {
+        entry.tags = tags;
+    }
+    if (priority) {
+        entry.priority = priority;
+    }
+    if (recommendedBy) {
+        entry.recommendedBy = recommendedBy;
+    }
+
     if (status === 'watched' && watchDate) {
         entry.watchDates = [watchDate];
         entry.watchDate = watchDate;
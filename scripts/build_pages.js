@@ -0,0 +1,256 @@
+#!/usr/bin/env node
+import { mkdir, readdir, readFile, unlink, writeFile } from 'node:fs/promises';
+import { resolve } from 'node:path';
+import process from 'node:process';
+import vm from 'node:vm';
+import { isMainModule } from './lib/cli.js';
+import { escapeHtml, getEntryKey, getTitlePagePath, PAGE_DIR, resolveSiteUrl } from './lib/site.js';
+
+const SNAPSHOT_PATH = resolve(process.cwd(), 'data/movies.json');
+const LOCALES_PATH = resolve(process.cwd(), 'locales.js');
+const TMDB_IMAGE_BASE_URL = 'https://image.tmdb.org/t/p';
+const DESCRIPTION_LENGTH = 160;
+const MEDIA_TYPE_KEYS = {
+    movie: 'mediaType.movie',
+    tv: 'mediaType.tv',
+    'web-video': 'mediaType.web-video',
+};
+const OG_TYPES = {
+    movie: 'video.movie',
+    tv: 'video.tv_show',
+    'web-video': 'video.other',
+};
+
+// Pages are written in the default locale and switched to the visitor's choice in the browser,
+// with the same strings and detection as the gallery.
+const TRANSLATE_SCRIPT = `(() => {
+    const locale = detectLocale();
+    if (locale === document.documentElement.lang) {
+        return;
+    }
+    document.documentElement.lang = locale;
+    document.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = translate(locale, element.dataset.i18n, JSON.parse(element.dataset.i18nParams || '{}'));
+    });
+    document.querySelectorAll('[data-i18n-attr]').forEach(element => {
+        const [attribute, key] = element.dataset.i18nAttr.split(':');
+        element.setAttribute(attribute, translate(locale, key));
+    });
+})();`;
+
+// locales.js is a browser script, so it runs in a sandbox of its own.
+async function loadLocale() {
+    const context = vm.createContext({});
+    vm.runInContext(await readFile(LOCALES_PATH, 'utf-8'), context, { filename: LOCALES_PATH });
+    const { DEFAULT_LOCALE: locale, translate } = vm.runInContext('({ DEFAULT_LOCALE, translate })', context);
+    return { locale, t: (key, params) => translate(locale, key, params) };
+}
+
+// An element whose text comes from locales.js, marked so the page script can translate it again.
+function localized(i18n, tag, key, params = null, attributes = '') {
+    const paramsAttribute = params ? ` data-i18n-params="${escapeHtml(JSON.stringify(params))}"` : '';
+    return `<${tag}${attributes} data-i18n="${key}"${paramsAttribute}>${escapeHtml(i18n.t(key, params || {}))}</${tag}>`;
+}
+
+function safeUrl(url) {
+    return /^https?:\/\//i.test(typeof url === 'string' ? url.trim() : '') ? url.trim() : null;
+}
+
+function getTmdbUrl(item) {
+    if (item.mediaType === 'web-video') {
+        return null;
+    }
+    return `https://www.themoviedb.org/${item.mediaType === 'tv' ? 'tv' : 'movie'}/${item.id}`;
+}
+
+// Page-relative sources for the <img>, plus an absolute URL for link previews.
+function getPoster(item, siteUrl) {
+    const local = item.localPoster;
+    const posterPath = item.mediaType === 'web-video' ? null : item.tmdb?.poster_path || item.tmdb?.backdrop_path;
+    if (local?.src) {
+        return {
+            src: `../${local.src}`,
+            srcset: local.srcset
+                ? local.srcset.split(',').map(candidate => `../${candidate.trim()}`).join(', ')
+                : null,
+            absolute: siteUrl ? new URL(local.src, siteUrl).href : posterPath ? `${TMDB_IMAGE_BASE_URL}/w500${posterPath}` : null,
+        };
+    }
+    if (posterPath) {
+        return {
+            src: `${TMDB_IMAGE_BASE_URL}/w342${posterPath}`,
+            srcset: [185, 342, 500].map(width => `${TMDB_IMAGE_BASE_URL}/w${width}${posterPath} ${width}w`).join(', '),
+            absolute: `${TMDB_IMAGE_BASE_URL}/w500${posterPath}`,
+        };
+    }
+    const cover = safeUrl(item.coverUrl);
+    return {
+        src: cover || '../movie_posters/placeholder.png',
+        srcset: null,
+        absolute: cover || (siteUrl ? new URL('movie_posters/placeholder.png', siteUrl).href : null),
+    };
+}
+
+function truncate(text, length) {
+    const chars = Array.from(text);
+    return chars.length > length ? `${chars.slice(0, length - 1).join('')}…` : text;
+}
+
+// Link previews can't follow the visitor's language, so the summary stays in the default locale.
+function buildDescription(item, i18n) {
+    const dates = [...(item.watchDates || [])].sort();
+    const parts = [];
+    if (typeof item.rating === 'number') {
+        parts.push(i18n.t('titlePage.summaryRating', { rating: item.rating.toFixed(1) }));
+    }
+    if (dates.length) {
+        parts.push(dates.length > 1
+            ? i18n.t('titlePage.summaryViewings', { count: dates.length, date: dates[dates.length - 1] })
+            : i18n.t('titlePage.summaryViewed', { date: dates[0] }));
+    }
+    const text = item.note || item.tmdb?.overview || '';
+    if (text) {
+        parts.push(text.replace(/\s+/g, ' ').trim());
+    }
+    return truncate(parts.join(' · ') || i18n.t(MEDIA_TYPE_KEYS[item.mediaType || 'movie']), DESCRIPTION_LENGTH);
+}
+
+function renderPage(item, siteUrl, i18n) {
+    const mediaType = item.mediaType || 'movie';
+    const tmdb = item.tmdb || {};
+    const title = item.title || tmdb.title || 'Untitled';
+    const poster = getPoster(item, siteUrl);
+    const siteName = i18n.t('app.title');
+    const description = buildDescription(item, i18n);
+    const pageUrl = siteUrl ? new URL(getTitlePagePath(item), siteUrl).href : null;
+    const galleryUrl = `../#entry=${encodeURIComponent(getEntryKey(item))}`;
+
+    const meta = [
+        ['property', 'og:type', OG_TYPES[mediaType] || 'website'],
+        ['property', 'og:site_name', siteName],
+        ['property', 'og:title', title],
+        ['property', 'og:description', description],
+        ['property', 'og:image', poster.absolute],
+        ['property', 'og:image:alt', title],
+        ['property', 'og:url', pageUrl],
+        ['property', 'og:locale', i18n.locale.replace('-', '_')],
+        ['name', 'twitter:card', 'summary_large_image'],
+        ['name', 'twitter:title', title],
+        ['name', 'twitter:description', description],
+        ['name', 'twitter:image', poster.absolute],
+        ['name', 'description', description],
+    ].filter(([, , content]) => content);
+
+    // [label key, value]; the media type is itself a translated value.
+    const facts = [['titlePage.type', MEDIA_TYPE_KEYS[mediaType]
+        ? localized(i18n, 'dd', MEDIA_TYPE_KEYS[mediaType])
+        : `<dd>${escapeHtml(mediaType)}</dd>`]];
+    const addFact = (key, value) => facts.push([key, `<dd>${escapeHtml(value)}</dd>`]);
+    if (tmdb.release_date) {
+        addFact('detail.release', tmdb.release_date);
+    }
+    if (Array.isArray(tmdb.directors) && tmdb.directors.length) {
+        addFact('detail.directors', tmdb.directors.map(director => director.name || director).join(' / '));
+    }
+    if (Array.isArray(tmdb.genres) && tmdb.genres.length) {
+        addFact('detail.genres', tmdb.genres.map(genre => genre.name).join(' / '));
+    }
+    if (mediaType === 'web-video' && item.creator) {
+        addFact('detail.creator', item.creator);
+    }
+    if (typeof item.rating === 'number') {
+        addFact('detail.myRating', item.rating.toFixed(1));
+    }
+    if (typeof tmdb.vote_average === 'number' && tmdb.vote_count) {
+        addFact('detail.tmdbRating', tmdb.vote_average.toFixed(1));
+    }
+
+    const history = [...(item.watchDates || [])].sort();
+    const links = [localized(i18n, 'a', 'titlePage.viewInGallery', null, ` href="${escapeHtml(galleryUrl)}"`)];
+    if (getTmdbUrl(item)) {
+        links.push(localized(i18n, 'a', 'detail.tmdbLink', null, ` href="${escapeHtml(getTmdbUrl(item))}" rel="noopener noreferrer"`));
+    }
+    if (mediaType === 'web-video' && safeUrl(item.url)) {
+        links.push(localized(i18n, 'a', 'detail.watchLink', null, ` href="${escapeHtml(safeUrl(item.url))}" rel="noopener noreferrer"`));
+    }
+
+    return `<!DOCTYPE html>
+<html lang="${escapeHtml(i18n.locale)}">
+    <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1">
+        <meta name="referrer" content="no-referrer">
+        <title>${escapeHtml(title)} · ${escapeHtml(siteName)}</title>
+${meta.map(([attribute, key, content]) => `        <meta ${attribute}="${key}" content="${escapeHtml(content)}">`).join('\n')}
+${pageUrl ? `        <link rel="canonical" href="${escapeHtml(pageUrl)}">\n` : ''}        <link rel="stylesheet" href="../styles.css">
+        <link rel="icon" type="image/png" sizes="32x32" href="../images/favicon.png">
+    </head>
+    <body>
+        <main class="title-page">
+            <img class="title-page-poster" src="${escapeHtml(poster.src)}"${poster.srcset ? ` srcset="${escapeHtml(poster.srcset)}" sizes="(max-width: 640px) 60vw, 300px"` : ''} alt="${escapeHtml(title)}">
+            <div class="detail-body">
+                <h1 class="detail-title">${escapeHtml(title)}${item.inCinema ? ` <span class="cinema-badge" title="${escapeHtml(i18n.t('card.cinema'))}" data-i18n-attr="title:card.cinema">🎦</span>` : ''}</h1>
+                ${tmdb.original_title && tmdb.original_title !== title ? `<p class="detail-original-title">${escapeHtml(tmdb.original_title)}</p>` : ''}
+                <dl class="detail-facts">
+                    ${facts.map(([key, value]) => `${localized(i18n, 'dt', key)}${value}`).join('\n                    ')}
+                </dl>
+                ${item.note ? `<blockquote class="detail-note">${escapeHtml(item.note)}</blockquote>` : ''}
+                ${tmdb.overview ? `<p class="detail-overview">${escapeHtml(tmdb.overview)}</p>` : ''}
+                ${localized(i18n, 'h2', 'detail.history', null, ' class="detail-subtitle"')}
+                ${history.length
+        ? `<ol class="detail-history">${history.map((date, index) => `<li>${index === 0 ? localized(i18n, 'span', 'detail.firstViewing') : localized(i18n, 'span', 'detail.nthViewing', { count: index + 1 })}<time datetime="${escapeHtml(date)}">${escapeHtml(date)}</time></li>`).join('')}</ol>`
+        : localized(i18n, 'p', 'detail.noHistory', null, ' class="detail-empty"')}
+                <p class="detail-links">${links.join('')}</p>
+            </div>
+        </main>
+        <script src="../locales.js"></script>
+        <script>
+${TRANSLATE_SCRIPT.split('\n').map(line => `            ${line}`).join('\n')}
+        </script>
+    </body>
+</html>
+`;
+}
+
+// Also run by fetch_movies.js and mirror_posters.js whenever they rewrite the snapshot.
+export async function buildPages(items) {
+    const siteUrl = await resolveSiteUrl();
+    const i18n = await loadLocale();
+    if (!siteUrl) {
+        console.warn('未找到 SITE_URL 或 CNAME，页面中的分享链接将缺少 og:url。');
+    }
+
+    const outputDir = resolve(process.cwd(), PAGE_DIR);
+    await mkdir(outputDir, { recursive: true });
+
+    const written = new Set();
+    for (const item of items) {
+        const path = getTitlePagePath(item);
+        await writeFile(resolve(process.cwd(), path), renderPage(item, siteUrl, i18n));
+        written.add(path);
+    }
+
+    // Drop pages for entries that have left the library.
+    let removed = 0;
+    for (const name of await readdir(outputDir)) {
+        if (name.endsWith('.html') && !written.has(`${PAGE_DIR}/${name}`)) {
+            await unlink(resolve(outputDir, name));
+            removed += 1;
+        }
+    }
+
+    console.log(`生成 ${written.size} 个页面，删除 ${removed} 个旧页面，输出到 ${outputDir}`);
+}
+
+async function main() {
+    const snapshot = JSON.parse(await readFile(SNAPSHOT_PATH, 'utf-8'));
+    await buildPages(Array.isArray(snapshot.items) ? snapshot.items : []);
+}
+
+if (isMainModule(import.meta.url)) {
+    main()
+        .catch(error => {
+            console.error('Failed to build title pages:', error.message);
+            process.exitCode = 1;
+        });
+}
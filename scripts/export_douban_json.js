@@ -2,6 +2,7 @@
 import { readFile, writeFile, mkdir } from 'node:fs/promises';
 import { resolve, isAbsolute, dirname } from 'node:path';
 import { argv, exit } from 'node:process';
+import { parseTags } from './lib/library.js';
 
 const TMDB_API_KEY = process.env.TMDB_API_KEY;
 const TMDB_LANGUAGE = process.env.TMDB_LANGUAGE || 'zh-CN';
@@ -101,6 +102,7 @@ function parseCsv(raw) {
             douban_url: doubanUrl,
             note,
             my_rating: rating,
+            tags: parseTags(record['标签'] || record['tags']),
         });
     }
     return records;
@@ -283,6 +285,7 @@ async function main() {
             douban_url: item.douban_url || null,
             note: item.note || null,
             my_rating: item.my_rating || null,
+            tags: Array.isArray(item.tags) ? item.tags : [],
             media_type: mediaType,
         });
     }
@@ -0,0 +1,187 @@
+#!/usr/bin/env node
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import { dirname, isAbsolute, resolve } from 'node:path';
+import process, { argv } from 'node:process';
+import { isMainModule } from './lib/cli.js';
+import { formatLocalDate } from './lib/library.js';
+import { getEntryKey, resolveSiteUrl } from './lib/site.js';
+
+const SNAPSHOT_PATH = resolve(process.cwd(), 'data/movies.json');
+const CALENDAR_NAME = process.env.CALENDAR_NAME || 'Berg观影记录';
+// Only releases people can actually go and watch; premieres, discs and TV airings are left out.
+const RELEASE_TYPE_LABELS = {
+    2: '限量上映',
+    3: '影院上映',
+    4: '流媒体上线',
+};
+
+const args = argv.slice(2);
+let outputArg = null;
+args.forEach(arg => {
+    if (arg.startsWith('--output=')) {
+        outputArg = arg.replace('--output=', '').trim();
+    }
+});
+
+const OUTPUT_PATH = (() => {
+    const target = outputArg || 'data/movies.ics';
+    return isAbsolute(target) ? target : resolve(process.cwd(), target);
+})();
+
+function toIcsDate(date) {
+    return date.replace(/-/g, '');
+}
+
+function nextDay(date) {
+    const [year, month, day] = date.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day + 1)).toISOString().slice(0, 10);
+}
+
+export function escapeText(value) {
+    return String(value ?? '')
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+// RFC 5545 caps lines at 75 octets; continuation lines start with a space.
+export function foldLine(line) {
+    const parts = [];
+    let current = '';
+    let size = 0;
+    for (const char of line) {
+        const charSize = Buffer.byteLength(char);
+        if (size + charSize > (parts.length ? 74 : 75)) {
+            parts.push(current);
+            current = '';
+            size = 0;
+        }
+        current += char;
+        size += charSize;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+function buildEvent({ uid, date, summary, description, url, stamp }) {
+    const lines = [
+        'BEGIN:VEVENT',
+        `UID:${uid}`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART;VALUE=DATE:${toIcsDate(date)}`,
+        `DTEND;VALUE=DATE:${toIcsDate(nextDay(date))}`,
+        `SUMMARY:${escapeText(summary)}`,
+        'TRANSP:TRANSPARENT',
+    ];
+    if (description) {
+        lines.push(`DESCRIPTION:${escapeText(description)}`);
+    }
+    if (url) {
+        lines.push(`URL:${url}`);
+    }
+    lines.push('END:VEVENT');
+    return lines;
+}
+
+function getPermalink(item, siteUrl) {
+    return siteUrl ? `${siteUrl}#entry=${encodeURIComponent(getEntryKey(item))}` : null;
+}
+
+function collectViewingEvents(items, context) {
+    return items.flatMap(item => (item.watchDates || []).map(date => {
+        const description = [
+            typeof item.rating === 'number' ? `我的评分：${item.rating.toFixed(1)} / 10` : null,
+            item.note || null,
+        ].filter(Boolean).join('\n');
+        return {
+            uid: `viewing-${item.mediaType || 'movie'}-${item.id}-${date}@${context.domain}`,
+            date,
+            summary: `${item.title}（${item.inCinema ? '影院' : '在家'}）`,
+            description,
+            url: getPermalink(item, context.siteUrl),
+        };
+    }));
+}
+
+// Several countries often share a release day, so they are merged into one event per day and type.
+function collectReleaseEvents(items, context) {
+    return items
+        .filter(item => item.status === 'wishlist' && item.tmdb)
+        .flatMap(item => {
+            const releases = Array.isArray(item.tmdb.release_dates) ? item.tmdb.release_dates : [];
+            const upcoming = new Map();
+            releases
+                .filter(release => RELEASE_TYPE_LABELS[release.type] && release.date >= context.today)
+                .forEach(release => {
+                    const key = `${release.type}-${release.date}`;
+                    const group = upcoming.get(key) || { type: release.type, date: release.date, countries: [], notes: [] };
+                    group.countries.push(release.country);
+                    if (release.note) {
+                        group.notes.push(release.note);
+                    }
+                    upcoming.set(key, group);
+                });
+
+            const events = Array.from(upcoming.values()).map(group => ({
+                uid: `release-${item.mediaType || 'movie'}-${item.id}-${group.type}-${group.date}@${context.domain}`,
+                date: group.date,
+                summary: `${item.title} ${RELEASE_TYPE_LABELS[group.type]}（${group.countries.join('、')}）`,
+                description: Array.from(new Set(group.notes)).join('\n'),
+                url: getPermalink(item, context.siteUrl),
+            }));
+
+            // TV shows and snapshots without per-country dates only have the first release date.
+            const releaseDate = item.tmdb.release_date;
+            if (!releases.length && releaseDate && releaseDate >= context.today) {
+                events.push({
+                    uid: `release-${item.mediaType || 'movie'}-${item.id}-${releaseDate}@${context.domain}`,
+                    date: releaseDate,
+                    summary: `${item.title} ${item.mediaType === 'tv' ? '首播' : '上映'}`,
+                    description: '',
+                    url: getPermalink(item, context.siteUrl),
+                });
+            }
+            return events;
+        });
+}
+
+async function main() {
+    const snapshot = JSON.parse(await readFile(SNAPSHOT_PATH, 'utf-8'));
+    const items = Array.isArray(snapshot.items) ? snapshot.items : [];
+    const siteUrl = await resolveSiteUrl();
+    const context = {
+        siteUrl,
+        domain: siteUrl ? new URL(siteUrl).hostname : 'movie-gallery',
+        today: formatLocalDate(),
+    };
+    // Tie DTSTAMP to the snapshot so re-exporting unchanged data produces the same file.
+    const stamp = new Date(snapshot.generatedAt || Date.now()).toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+
+    const viewings = collectViewingEvents(items, context);
+    const releases = collectReleaseEvents(items, context);
+    const events = [...viewings, ...releases].sort((a, b) => a.date.localeCompare(b.date) || a.uid.localeCompare(b.uid));
+
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Berg-Movie-Gallery//movies.ics//ZH',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(CALENDAR_NAME)}`,
+        ...events.flatMap(event => buildEvent({ ...event, stamp })),
+        'END:VCALENDAR',
+    ];
+
+    await mkdir(dirname(OUTPUT_PATH), { recursive: true });
+    await writeFile(OUTPUT_PATH, `${lines.map(foldLine).join('\r\n')}\r\n`);
+    console.log(`写入 ${viewings.length} 条观影记录与 ${releases.length} 个即将上映日期到 ${OUTPUT_PATH}`);
+}
+
+if (isMainModule(import.meta.url)) {
+    main()
+        .catch(error => {
+            console.error('Failed to export calendar:', error.message);
+            process.exitCode = 1;
+        });
+}
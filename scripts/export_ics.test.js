@@ -0,0 +1,27 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { escapeText, foldLine } from './export_ics.js';
+
+test('escapeText escapes iCalendar special characters', () => {
+    assert.equal(escapeText('a,b;c\\d'), 'a\\,b\\;c\\\\d');
+    assert.equal(escapeText('第一行\r\n第二行\n第三行'), '第一行\\n第二行\\n第三行');
+    assert.equal(escapeText(undefined), '');
+});
+
+test('foldLine leaves short lines alone', () => {
+    const line = `SUMMARY:${'x'.repeat(67)}`;
+    assert.equal(Buffer.byteLength(line), 75);
+    assert.equal(foldLine(line), line);
+});
+
+test('foldLine wraps at 75 octets without splitting multi-byte characters', () => {
+    const line = `DESCRIPTION:${'血色将至'.repeat(20)}${'a'.repeat(40)}`;
+    const folded = foldLine(line);
+    const parts = folded.split('\r\n');
+    assert.ok(parts.length > 1);
+    parts.forEach((part, index) => {
+        assert.ok(Buffer.byteLength(part) <= 75);
+        assert.equal(part.startsWith(' '), index > 0);
+    });
+    assert.equal(parts.map((part, index) => (index ? part.slice(1) : part)).join(''), line);
+});
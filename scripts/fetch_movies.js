@@ -2,19 +2,35 @@
 import { mkdir, readFile, writeFile } from 'node:fs/promises';
 import { dirname, resolve } from 'node:path';
 import process from 'node:process';
+import { buildPages } from './build_pages.js';
+import { isMainModule } from './lib/cli.js';
+import { formatLocalDate, PRIORITIES } from './lib/library.js';
+import { escapeXml, getEntryKey, getPosterSource, getTitlePagePath, resolveSiteUrl } from './lib/site.js';
 
 const TMDB_API_KEY = process.env.TMDB_API_KEY;
 const TMDB_LANGUAGE = process.env.TMDB_LANGUAGE || 'zh-CN';
+// Extra languages whose title/overview are stored next to the primary ones; TMDB_LANGUAGE always comes first.
+const TMDB_LANGUAGES = Array.from(new Set([
+    TMDB_LANGUAGE,
+    ...(process.env.TMDB_LANGUAGES || 'en-US').split(',').map(language => language.trim()).filter(Boolean),
+]));
 const TMDB_REGION = process.env.TMDB_REGION || null;
+// Countries whose release dates are kept: TMDB_REGION plus the regions of the configured languages.
+const RELEASE_DATE_REGIONS = Array.from(new Set([
+    TMDB_REGION,
+    ...TMDB_LANGUAGES.map(language => language.split('-')[1]),
+].filter(Boolean).map(region => region.toUpperCase())));
 const TMDB_BASE_URL = 'https://api.themoviedb.org/3';
 
 const LIBRARY_PATH = resolve(process.cwd(), 'data/library.json');
 const OUTPUT_PATH = resolve(process.cwd(), 'data/movies.json');
-
-if (!TMDB_API_KEY) {
-    console.error('Missing TMDB_API_KEY environment variable');
-    process.exit(1);
-}
+const ATOM_FEED_PATH = resolve(process.cwd(), 'data/feed.xml');
+const JSON_FEED_PATH = resolve(process.cwd(), 'data/feed.json');
+const FEED_TITLE = process.env.FEED_TITLE || 'Berg观影记录';
+const FEED_LIMIT = Number(process.env.FEED_LIMIT) || 50;
+const FEED_POSTER_BASE_URL = 'https://image.tmdb.org/t/p/w342';
+const TV_RECHECK_DAYS = 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 function normaliseWatchDates(...sources) {
     const combined = [];
@@ -33,6 +49,41 @@ function normaliseWatchDates(...sources) {
     )).sort((a, b) => b.localeCompare(a));
 }
 
+function normaliseTags(...sources) {
+    return Array.from(new Set(
+        sources
+            .flatMap(source => (Array.isArray(source) ? source : []))
+            .filter(tag => typeof tag === 'string')
+            .map(tag => tag.trim())
+            .filter(Boolean),
+    ));
+}
+
+// The earliest valid date wins when an entry appears in more than one bucket.
+function normaliseAddedAt(...sources) {
+    const dates = sources
+        .filter(value => typeof value === 'string' && !Number.isNaN(new Date(value).getTime()))
+        .map(value => new Date(value).toISOString().slice(0, 10))
+        .sort();
+    return dates[0] ?? null;
+}
+
+// Per-season progress from the library: `{ season, episodesWatched, watchDates, rating }`.
+function normaliseSeasons(seasons) {
+    if (!Array.isArray(seasons)) {
+        return [];
+    }
+    return seasons
+        .filter(season => season && Number.isInteger(Number(season.season)))
+        .map(season => ({
+            season: Number(season.season),
+            episodesWatched: Math.max(0, Number(season.episodesWatched) || 0),
+            watchDates: normaliseWatchDates(season.watchDates).reverse(),
+            rating: typeof season.rating === 'number' ? season.rating : null,
+        }))
+        .sort((a, b) => a.season - b.season);
+}
+
 async function loadLibrary() {
     const raw = await readFile(LIBRARY_PATH, 'utf-8');
     const parsed = JSON.parse(raw);
@@ -47,7 +98,7 @@ async function loadLibrary() {
         if (!entry || typeof entry.id === 'undefined') {
             return;
         }
-        const key = String(entry.id);
+        const key = getEntryKey(entry);
         const existing = deduped.get(key) || {};
 
         const watchDates = normaliseWatchDates(
@@ -68,6 +119,11 @@ async function loadLibrary() {
             rating: typeof entry.rating === 'number' ? entry.rating : existing.rating ?? null,
             status: entry.status || existing.status || defaultStatus || null,
             note: entry.note ?? existing.note ?? null,
+            tags: normaliseTags(existing.tags, entry.tags),
+            seasons: normaliseSeasons(entry.seasons ?? existing.seasons),
+            addedAt: normaliseAddedAt(existing.addedAt, entry.addedAt),
+            priority: PRIORITIES.includes(entry.priority) ? entry.priority : existing.priority ?? null,
+            recommendedBy: (typeof entry.recommendedBy === 'string' && entry.recommendedBy.trim()) || existing.recommendedBy || null,
             mediaType,
             inCinema: typeof entry.inCinema === 'boolean'
                 ? entry.inCinema
@@ -93,6 +149,37 @@ async function loadLibrary() {
     return Array.from(deduped.values());
 }
 
+async function loadLists() {
+    const parsed = JSON.parse(await readFile(LIBRARY_PATH, 'utf-8'));
+    return Array.isArray(parsed?.lists) ? parsed.lists : [];
+}
+
+// Curated lists keep their order; entries that are no longer in the library are dropped.
+function buildLists(lists, snapshot) {
+    const known = new Set(snapshot.map(getEntryKey));
+    return lists
+        .filter(list => list && (list.title || list.id))
+        .map((list, index) => {
+            const id = String(list.id || `list-${index + 1}`);
+            const items = (Array.isArray(list.items) ? list.items : [])
+                .map(item => (typeof item === 'object' && item !== null ? item : { id: item }))
+                .filter(item => {
+                    if (known.has(getEntryKey(item))) {
+                        return true;
+                    }
+                    console.warn(`片单「${list.title || id}」中的 ${getEntryKey(item)} 不在片库中，已跳过。`);
+                    return false;
+                })
+                .map(item => ({ id: item.id, mediaType: item.mediaType || 'movie', comment: item.comment ?? null }));
+            return {
+                id,
+                title: list.title || id,
+                description: list.description ?? null,
+                items,
+            };
+        });
+}
+
 async function fetchDetails(id, mediaType = 'movie') {
     const path = mediaType === 'tv' ? `/tv/${id}` : `/movie/${id}`;
     const url = new URL(`${TMDB_BASE_URL}${path}`);
@@ -101,7 +188,9 @@ async function fetchDetails(id, mediaType = 'movie') {
     if (TMDB_REGION && mediaType === 'movie') {
         url.searchParams.set('region', TMDB_REGION);
     }
-    const append = mediaType === 'tv' ? 'credits' : 'credits,release_dates';
+    const append = mediaType === 'tv'
+        ? 'credits,translations,alternative_titles'
+        : 'credits,release_dates,translations,alternative_titles';
     url.searchParams.set('append_to_response', append);
 
     const response = await fetch(url);
@@ -123,10 +212,73 @@ function extractDirectors(credits) {
         return [];
     }
 
-    return credits.crew
+    const directors = new Map();
+    credits.crew
         .filter(member => member.job === 'Director' || member.job === 'Series Director')
-        .map(member => member.name)
-        .filter(Boolean);
+        .filter(member => member.name)
+        .forEach(member => {
+            // Keep the person ID so people sharing a name stay distinct.
+            const key = member.id ?? member.name;
+            if (!directors.has(key)) {
+                directors.set(key, { id: member.id ?? null, name: member.name });
+            }
+        });
+    return Array.from(directors.values());
+}
+
+function findTranslation(translations, language) {
+    const [code, region] = language.split('-');
+    const candidates = translations.filter(item => item.iso_639_1 === code);
+    return candidates.find(item => item.iso_3166_1 === region) || candidates[0] || null;
+}
+
+// `details` is already in TMDB_LANGUAGE; the other languages come from the appended translations.
+function extractLocalized(details, mediaType) {
+    const translations = Array.isArray(details.translations?.translations) ? details.translations.translations : [];
+    const localized = {};
+    TMDB_LANGUAGES.forEach((language, index) => {
+        const data = index === 0
+            ? details
+            : findTranslation(translations, language)?.data || {};
+        const title = mediaType === 'tv' ? data.name : data.title;
+        localized[language] = {
+            title: title || null,
+            overview: data.overview || null,
+        };
+    });
+    return localized;
+}
+
+function extractAlternativeTitles(details) {
+    const titles = details.alternative_titles?.titles || details.alternative_titles?.results || [];
+    return Array.from(new Set(titles.map(item => item.title).filter(Boolean)));
+}
+
+// TMDB release types: 1 premiere, 2 limited theatrical, 3 theatrical, 4 digital, 5 physical, 6 TV.
+function extractReleaseDates(details) {
+    const results = Array.isArray(details.release_dates?.results) ? details.release_dates.results : [];
+    return results
+        .filter(result => RELEASE_DATE_REGIONS.includes(result.iso_3166_1))
+        .flatMap(result => (result.release_dates || []).map(release => ({
+            country: result.iso_3166_1,
+            type: release.type,
+            date: typeof release.release_date === 'string' ? release.release_date.slice(0, 10) : null,
+            note: release.note || null,
+        })))
+        .filter(release => release.date)
+        .sort((a, b) => a.date.localeCompare(b.date) || a.country.localeCompare(b.country) || a.type - b.type);
+}
+
+// Specials (season 0) are left out so they don't count towards progress.
+function extractSeasons(details) {
+    return (Array.isArray(details.seasons) ? details.seasons : [])
+        .filter(season => season.season_number > 0)
+        .map(season => ({
+            season_number: season.season_number,
+            name: season.name ?? null,
+            episode_count: season.episode_count ?? 0,
+            air_date: season.air_date ?? null,
+        }));
 }
 
 function buildTmdbPayload(details, mediaType) {
@@ -148,6 +300,15 @@ function buildTmdbPayload(details, mediaType) {
             popularity: details.popularity,
             homepage: details.homepage ?? null,
             directors: extractDirectors(details.credits),
+            localized: extractLocalized(details, mediaType),
+            alternative_titles: extractAlternativeTitles(details),
+            number_of_seasons: details.number_of_seasons ?? null,
+            number_of_episodes: details.number_of_episodes ?? null,
+            seasons: extractSeasons(details),
+            in_production: details.in_production ?? null,
+            last_air_date: details.last_air_date ?? null,
+            next_episode_air_date: details.next_episode_to_air?.air_date ?? null,
+            fetched_at: formatLocalDate(),
         };
     }
 
@@ -159,6 +320,7 @@ function buildTmdbPayload(details, mediaType) {
         poster_path: details.poster_path,
         backdrop_path: details.backdrop_path,
         release_date: details.release_date,
+        release_dates: extractReleaseDates(details),
         runtime: details.runtime,
         genres: details.genres ?? [],
         vote_average: details.vote_average,
@@ -166,6 +328,8 @@ function buildTmdbPayload(details, mediaType) {
         popularity: details.popularity,
         homepage: details.homepage ?? null,
         directors: extractDirectors(details.credits),
+        localized: extractLocalized(details, mediaType),
+        alternative_titles: extractAlternativeTitles(details),
     };
 }
 
@@ -177,7 +341,7 @@ async function loadExistingSnapshot() {
         if (Array.isArray(parsed?.items)) {
             parsed.items.forEach(item => {
                 if (item && typeof item.id !== 'undefined') {
-                    map.set(String(item.id), item);
+                    map.set(getEntryKey(item), item);
                 }
             });
         }
@@ -190,20 +354,64 @@ async function loadExistingSnapshot() {
     }
 }
 
-function shouldRefresh(existing, entry) {
+// A show still being watched is fetched again once its next episode has aired. With nothing
+// scheduled, ended shows are left alone and ones still in production are checked every few days.
+function isAiringInfoStale(tmdb, today) {
+    if (!('next_episode_air_date' in tmdb)) {
+        return true;
+    }
+    if (tmdb.next_episode_air_date) {
+        return tmdb.next_episode_air_date <= today;
+    }
+    if (!tmdb.in_production) {
+        return false;
+    }
+    return !tmdb.fetched_at || Date.parse(today) - Date.parse(tmdb.fetched_at) >= TV_RECHECK_DAYS * DAY_MS;
+}
+
+export function shouldRefresh(existing, entry, today = formatLocalDate()) {
     if (!existing) return true;
     if ((existing.mediaType || 'movie') !== (entry.mediaType || 'movie')) return true;
     if (!existing.tmdb) return true;
+    // Snapshots written before director IDs were kept only have plain names.
+    if (Array.isArray(existing.tmdb.directors) && existing.tmdb.directors.some(director => typeof director === 'string')) {
+        return true;
+    }
+    // Fetch again when a language was added to TMDB_LANGUAGES (or the snapshot predates them).
+    if (TMDB_LANGUAGES.some(language => !existing.tmdb.localized?.[language])) {
+        return true;
+    }
+    if ((entry.mediaType || 'movie') === 'tv') {
+        if (!Array.isArray(existing.tmdb.seasons)) {
+            return true;
+        }
+        if (entry.status === 'watching' && isAiringInfoStale(existing.tmdb, today)) {
+            return true;
+        }
+    }
+    // Upcoming wishlist releases need the per-country dates; older snapshots never stored them.
+    if (entry.status === 'wishlist' && (entry.mediaType || 'movie') === 'movie' && !Array.isArray(existing.tmdb.release_dates)) {
+        return true;
+    }
     return false;
 }
 
+// mirror_posters.js records the local copies in `localPoster`; keep them while the image is unchanged.
+function withLocalPoster(item, existing) {
+    const localPoster = existing?.localPoster;
+    if (localPoster && localPoster.source === getPosterSource(item)) {
+        item.localPoster = localPoster;
+    }
+    return item;
+}
+
 async function buildSnapshot(entries, existingMap) {
     const enriched = [];
 
     for (const entry of entries) {
         const mediaType = entry.mediaType || 'movie';
         const isWebVideo = mediaType === 'web-video';
-        const existing = existingMap.get(String(entry.id));
+        const existing = existingMap.get(getEntryKey(entry));
 
         const watchDates = Array.isArray(entry.watchDates)
             ? entry.watchDates
@@ -214,7 +422,7 @@ async function buildSnapshot(entries, existingMap) {
 
         // For web-video, skip TMDB fetch and use custom data
         if (isWebVideo) {
-            enriched.push({
+            enriched.push(withLocalPoster({
                 id: entry.id,
                 title: entry.title ?? '',
                 mediaType,
@@ -223,13 +431,17 @@ async function buildSnapshot(entries, existingMap) {
                 watchDate: orderedWatchDates[0] ?? null,
                 rating: typeof entry.rating === 'number' ? entry.rating : null,
                 note: entry.note ?? null,
+                tags: entry.tags ?? [],
+                addedAt: entry.addedAt ?? null,
+                priority: entry.priority ?? null,
+                recommendedBy: entry.recommendedBy ?? null,
                 inCinema: false,
                 platform: entry.platform ?? null,
                 url: entry.url ?? null,
                 coverUrl: entry.coverUrl ?? null,
                 creator: entry.creator ?? null,
                 duration: entry.duration ?? null,
-            });
+            }, existing));
             continue;
         }
 
@@ -256,7 +468,7 @@ async function buildSnapshot(entries, existingMap) {
             tmdbData = buildTmdbPayload(details, mediaType);
         }
 
-        enriched.push({
+        enriched.push(withLocalPoster({
             id: entry.id,
             title: entry.title ?? (mediaType === 'tv' ? tmdbData.title : tmdbData.title) ?? '',
             mediaType,
@@ -265,15 +477,135 @@ async function buildSnapshot(entries, existingMap) {
             watchDate: orderedWatchDates[0] ?? null,
             rating: typeof entry.rating === 'number' ? entry.rating : null,
             note: entry.note ?? null,
+            tags: entry.tags ?? [],
+            addedAt: entry.addedAt ?? null,
+            priority: entry.priority ?? null,
+            recommendedBy: entry.recommendedBy ?? null,
             inCinema: typeof entry.inCinema === 'boolean' ? entry.inCinema : false,
+            ...(mediaType === 'tv' ? { seasons: entry.seasons ?? [] } : {}),
             tmdb: tmdbData,
-        });
+        }, existing));
     }
 
     return enriched;
 }
 
+function getFeedPoster(item, siteUrl) {
+    if (item.localPoster?.src) {
+        return new URL(item.localPoster.src, siteUrl).href;
+    }
+    const posterPath = item.tmdb?.poster_path || item.tmdb?.backdrop_path;
+    if (posterPath) {
+        return `${FEED_POSTER_BASE_URL}${posterPath}`;
+    }
+    return /^https?:\/\//i.test(item.coverUrl || '') ? item.coverUrl.replace(/^http:/, 'https:') : null;
+}
+
+// One entry per viewing, so a rewatch becomes a new item while earlier ones keep their IDs.
+export function collectFeedEntries(items, siteUrl) {
+    const authority = new URL(siteUrl).hostname;
+    const entries = items.flatMap(item => {
+        const dates = [...(item.watchDates || [])].sort();
+        return dates.map((date, index) => ({
+            id: `tag:${authority},${date}:viewing/${item.mediaType || 'movie'}/${item.id}/${date}`,
+            url: new URL(getTitlePagePath(item), siteUrl).href,
+            title: index > 0 ? `${item.title}（重温）` : item.title,
+            date,
+            published: `${date}T00:00:00Z`,
+            poster: getFeedPoster(item, siteUrl),
+            item,
+        }));
+    });
+    return entries
+        .sort((a, b) => b.date.localeCompare(a.date) || String(a.item.id).localeCompare(String(b.item.id)))
+        .slice(0, FEED_LIMIT);
+}
+
+function renderFeedEntryHtml({ item, date, poster }) {
+    const parts = [];
+    if (poster) {
+        parts.push(`<p><img src="${escapeXml(poster)}" alt="${escapeXml(item.title)}" width="342"></p>`);
+    }
+    const facts = [`观影日期：${date}${item.inCinema ? '（影院）' : ''}`];
+    if (typeof item.rating === 'number') {
+        facts.push(`我的评分：${item.rating.toFixed(1)} / 10`);
+    }
+    if (typeof item.tmdb?.vote_average === 'number') {
+        facts.push(`TMDB 评分：${item.tmdb.vote_average.toFixed(1)}`);
+    }
+    parts.push(`<p>${facts.map(escapeXml).join('<br>')}</p>`);
+    if (item.note) {
+        parts.push(`<blockquote>${escapeXml(item.note)}</blockquote>`);
+    }
+    return parts.join('\n');
+}
+
+export function buildAtomFeed(entries, siteUrl) {
+    // The feed only changes when a viewing is added, not on every run.
+    const updated = entries[0]?.published || '1970-01-01T00:00:00Z';
+    const feedUrl = new URL('data/feed.xml', siteUrl).href;
+    return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="zh-CN">
+  <title>${escapeXml(FEED_TITLE)}</title>
+  <id>${escapeXml(siteUrl)}</id>
+  <link rel="alternate" type="text/html" href="${escapeXml(siteUrl)}"/>
+  <link rel="self" type="application/atom+xml" href="${escapeXml(feedUrl)}"/>
+  <updated>${updated}</updated>
+  <author><name>${escapeXml(FEED_TITLE)}</name></author>
+${entries.map(entry => `  <entry>
+    <id>${escapeXml(entry.id)}</id>
+    <title>${escapeXml(entry.title)}</title>
+    <link rel="alternate" type="text/html" href="${escapeXml(entry.url)}"/>
+    <published>${entry.published}</published>
+    <updated>${entry.published}</updated>
+    <content type="html">${escapeXml(renderFeedEntryHtml(entry))}</content>
+  </entry>`).join('\n')}
+</feed>
+`;
+}
+
+export function buildJsonFeed(entries, siteUrl) {
+    return {
+        version: 'https://jsonfeed.org/version/1.1',
+        title: FEED_TITLE,
+        home_page_url: siteUrl,
+        feed_url: new URL('data/feed.json', siteUrl).href,
+        language: 'zh-CN',
+        items: entries.map(entry => ({
+            id: entry.id,
+            url: entry.url,
+            title: entry.title,
+            content_html: renderFeedEntryHtml(entry),
+            image: entry.poster ?? undefined,
+            date_published: entry.published,
+            _viewing: {
+                watch_date: entry.date,
+                rating: typeof entry.item.rating === 'number' ? entry.item.rating : null,
+                tmdb_rating: entry.item.tmdb?.vote_average ?? null,
+                note: entry.item.note ?? null,
+                in_cinema: Boolean(entry.item.inCinema),
+            },
+        })),
+    };
+}
+
+async function writeFeeds(items) {
+    const siteUrl = await resolveSiteUrl();
+    if (!siteUrl) {
+        console.warn('未找到 SITE_URL 或 CNAME，跳过订阅源生成。');
+        return;
+    }
+    const entries = collectFeedEntries(items, siteUrl);
+    await writeFile(ATOM_FEED_PATH, buildAtomFeed(entries, siteUrl));
+    await writeFile(JSON_FEED_PATH, `${JSON.stringify(buildJsonFeed(entries, siteUrl), null, 2)}\n`);
+    console.log(`Wrote ${entries.length} feed entries to ${ATOM_FEED_PATH} and ${JSON_FEED_PATH}`);
+}
+
 async function main() {
+    if (!TMDB_API_KEY) {
+        console.error('Missing TMDB_API_KEY environment variable');
+        process.exit(1);
+    }
     try {
         const entries = await loadLibrary();
         if (!entries.length) {
@@ -282,29 +614,37 @@ async function main() {
 
         const existingMap = await loadExistingSnapshot();
         const snapshot = await buildSnapshot(entries, existingMap);
+        const lists = buildLists(await loadLists(), snapshot);
 
         const payload = {
             generatedAt: new Date().toISOString(),
             source: {
                 type: 'local-library',
                 language: TMDB_LANGUAGE,
+                languages: TMDB_LANGUAGES,
                 region: TMDB_REGION ?? undefined,
                 total: snapshot.length,
             },
             items: snapshot,
+            lists,
         };
 
         await mkdir(dirname(OUTPUT_PATH), { recursive: true });
         await writeFile(OUTPUT_PATH, `${JSON.stringify(payload, null, 2)}\n`);
         console.log(`Wrote ${snapshot.length} entries to ${OUTPUT_PATH}`);
+        await writeFeeds(snapshot);
+        // Cards, the detail drawer and feed items all link to the share pages.
+        await buildPages(snapshot);
     } catch (error) {
         console.error('Failed to build movie snapshot:', error.message);
         process.exitCode = 1;
     }
 }
 
-main()
-    .catch(error => {
-        console.error('Unexpected error:', error);
-        process.exitCode = 1;
-    });
+if (isMainModule(import.meta.url)) {
+    main()
+        .catch(error => {
+            console.error('Unexpected error:', error);
+            process.exitCode = 1;
+        });
+}
@@ -0,0 +1,94 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { buildAtomFeed, buildJsonFeed, collectFeedEntries, shouldRefresh } from './fetch_movies.js';
+
+const SITE_URL = 'https://movie.example.com/';
+const items = [
+    {
+        id: 774531,
+        title: '泳者之心',
+        rating: 8,
+        note: '<好看> & 燃',
+        watchDates: ['2025-10-21', '2024-08-01'],
+        tmdb: { poster_path: '/poster.jpg', vote_average: 7.9 },
+    },
+    {
+        id: 209867,
+        mediaType: 'tv',
+        title: '葬送的芙莉莲',
+        inCinema: false,
+        watchDates: ['2025-01-05'],
+        localPoster: { src: 'movie_posters/209867-abcdef0123-342.jpg' },
+    },
+    { id: 1, title: '还没看' },
+];
+
+test('collectFeedEntries makes one entry per viewing, newest first', () => {
+    const entries = collectFeedEntries(items, SITE_URL);
+    assert.deepEqual(entries.map(entry => [entry.date, entry.title]), [
+        ['2025-10-21', '泳者之心（重温）'],
+        ['2025-01-05', '葬送的芙莉莲'],
+        ['2024-08-01', '泳者之心'],
+    ]);
+    assert.equal(entries[0].id, 'tag:movie.example.com,2025-10-21:viewing/movie/774531/2025-10-21');
+    assert.equal(entries[1].id, 'tag:movie.example.com,2025-01-05:viewing/tv/209867/2025-01-05');
+});
+
+test('feed entries link to the title page and prefer the mirrored poster', () => {
+    const [rewatch, show] = collectFeedEntries(items, SITE_URL);
+    assert.equal(rewatch.url, 'https://movie.example.com/titles/movie-774531.html');
+    assert.equal(show.url, 'https://movie.example.com/titles/tv-209867.html');
+    assert.equal(rewatch.poster, 'https://image.tmdb.org/t/p/w342/poster.jpg');
+    assert.equal(show.poster, 'https://movie.example.com/movie_posters/209867-abcdef0123-342.jpg');
+    assert.equal(rewatch.published, '2025-10-21T00:00:00Z');
+});
+
+test('buildAtomFeed escapes content and dates the feed by its newest viewing', () => {
+    const xml = buildAtomFeed(collectFeedEntries(items, SITE_URL), SITE_URL);
+    assert.match(xml, /<updated>2025-10-21T00:00:00Z<\/updated>/);
+    assert.match(xml, /<link rel="self" type="application\/atom\+xml" href="https:\/\/movie.example.com\/data\/feed.xml"\/>/);
+    assert.match(xml, /&amp;lt;好看&amp;gt; &amp;amp; 燃/);
+    assert.equal(xml.match(/<entry>/g).length, 3);
+    assert.match(buildAtomFeed([], SITE_URL), /<updated>1970-01-01T00:00:00Z<\/updated>/);
+});
+
+test('buildJsonFeed carries the viewing details', () => {
+    const feed = buildJsonFeed(collectFeedEntries(items, SITE_URL), SITE_URL);
+    assert.equal(feed.feed_url, 'https://movie.example.com/data/feed.json');
+    assert.deepEqual(feed.items[0]._viewing, {
+        watch_date: '2025-10-21',
+        rating: 8,
+        tmdb_rating: 7.9,
+        note: '<好看> & 燃',
+        in_cinema: false,
+    });
+    assert.match(feed.items[0].content_html, /&lt;好看&gt; &amp; 燃/);
+});
+
+test('shouldRefresh refetches a show being watched only once something new may have aired', () => {
+    const today = '2026-10-19';
+    const entry = { id: 209867, mediaType: 'tv', status: 'watching' };
+    const show = tmdb => ({
+        mediaType: 'tv',
+        tmdb: {
+            directors: [],
+            localized: { 'zh-CN': {}, 'en-US': {} },
+            seasons: [{ season_number: 1, episode_count: 28 }],
+            in_production: true,
+            last_air_date: '2026-10-10',
+            next_episode_air_date: '2026-10-24',
+            fetched_at: '2026-10-17',
+            ...tmdb,
+        },
+    });
+    assert.equal(shouldRefresh(show(), entry, today), false);
+    assert.equal(shouldRefresh(show({ next_episode_air_date: '2026-10-19' }), entry, today), true);
+    assert.equal(shouldRefresh(show({ next_episode_air_date: null }), entry, today), false);
+    assert.equal(shouldRefresh(show({ next_episode_air_date: null, fetched_at: '2026-10-01' }), entry, today), true);
+    assert.equal(shouldRefresh(show({ next_episode_air_date: null, in_production: false, fetched_at: '2025-01-01' }), entry, today), false);
+    // Snapshots from before air dates were stored.
+    const legacy = show();
+    delete legacy.tmdb.next_episode_air_date;
+    assert.equal(shouldRefresh(legacy, entry, today), true);
+    assert.equal(shouldRefresh(legacy, { ...entry, status: 'watched' }, today), false);
+});
@@ -3,6 +3,7 @@ import { readFile, writeFile } from 'node:fs/promises';
 import { resolve, isAbsolute } from 'node:path';
 import { stdin, stdout, argv, exit } from 'node:process';
 import readline from 'node:readline/promises';
+import { parseTags } from './lib/library.js';
 
 const TMDB_API_KEY = process.env.TMDB_API_KEY;
 const TMDB_LANGUAGE = process.env.TMDB_LANGUAGE || 'zh-CN';
@@ -81,6 +82,10 @@ function parseCsvLine(line) {
     return values;
 }
 
+function mergeTags(existing = [], incoming = []) {
+    return Array.from(new Set([...existing, ...incoming]));
+}
+
 function parseCsv(raw) {
     const lines = raw.split(/\r?\n/).filter(line => line.trim().length);
     if (!lines.length) {
@@ -109,6 +114,7 @@ function parseCsv(raw) {
             imdb_id: imdb,
             douban_url: link,
             my_rating: rating,
+            tags: parseTags(record['标签'] || record['tags']),
             __raw: record,
         });
     }
@@ -479,6 +485,7 @@ async function main() {
             watchDates: mergedDates,
             status: 'watched',
             rating: convertRating(item?.my_rating),
+            tags: parseTags(item?.tags),
             inCinema: false,
         });
     }
@@ -508,6 +515,7 @@ async function main() {
                 status: 'watched',
                 inCinema: existing.inCinema ?? entry.inCinema ?? false,
                 rating: typeof entry.rating === 'number' ? entry.rating : existing.rating ?? null,
+                tags: mergeTags(existing.tags, entry.tags),
             };
         } else {
             const mergedDates = entry.watchDates;
@@ -520,12 +528,14 @@ async function main() {
                 watchDate: mergedDates[0] || null,
                 note: entry.note ?? null,
                 rating: typeof entry.rating === 'number' ? entry.rating : null,
+                tags: entry.tags,
                 inCinema: entry.inCinema ?? false,
             });
         }
     });
 
     const updatedLibrary = {
+        ...library,
         watching,
         watched: sortByWatchDateDesc(watched),
         wishlist,
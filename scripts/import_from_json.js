@@ -176,6 +176,7 @@ async function main() {
         const combinedDates = mergeDates(additionalDates, watchDate ? [watchDate] : []);
         const rating = parseRating(item?.my_rating);
         const note = item?.note?.trim() || null;
+        const tags = Array.isArray(item?.tags) ? item.tags.map(tag => String(tag).trim()).filter(Boolean) : [];
         const inCinema = normaliseBoolean(item?.inCinema ?? item?.in_cinema);
 
         watching = removeById(watching, tmdbId);
@@ -194,6 +195,7 @@ async function main() {
                 watchDate: mergedDates[0] || null,
                 rating: typeof rating === 'number' ? rating : existing.rating,
                 note: note || existing.note || null,
+                tags: Array.from(new Set([...(existing.tags || []), ...tags])),
                 inCinema: typeof item?.inCinema !== 'undefined'
                     ? inCinema
                     : (existing.inCinema ?? false),
@@ -209,6 +211,7 @@ async function main() {
                 watchDate: watchDates[0] || null,
                 rating: typeof rating === 'number' ? rating : null,
                 note,
+                tags,
                 inCinema,
             });
         }
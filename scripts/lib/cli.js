@@ -0,0 +1,8 @@
+import { resolve } from 'node:path';
+import process from 'node:process';
+import { pathToFileURL } from 'node:url';
+
+// True when the module at `moduleUrl` was started with `node <script>`, rather than imported by a test.
+export function isMainModule(moduleUrl) {
+    return Boolean(process.argv[1]) && moduleUrl === pathToFileURL(resolve(process.argv[1])).href;
+}
@@ -0,0 +1,35 @@
+// Helpers shared by the scripts that add, import and normalise library.json entries.
+
+// Keep in sync with WISHLIST_PRIORITIES in movies.js.
+export const PRIORITIES = ['must-see', 'normal', 'someday'];
+
+// What the prompts accept: the number shown next to each choice, the key or its Chinese label.
+const PRIORITY_INPUTS = {
+    '': 'normal',
+    '1': 'must-see',
+    'must-see': 'must-see',
+    '必看': 'must-see',
+    '2': 'normal',
+    'normal': 'normal',
+    '普通': 'normal',
+    '3': 'someday',
+    'someday': 'someday',
+    '有空再看': 'someday',
+};
+
+export function normalisePriority(input) {
+    return PRIORITY_INPUTS[String(input ?? '').trim().toLowerCase()] || null;
+}
+
+// Tags are separated by commas (either width) or spaces, as typed or as Douban exports them;
+// JSON input may already hold an array.
+export function parseTags(raw) {
+    const values = Array.isArray(raw) ? raw : String(raw || '').split(/[,，\s]+/);
+    return Array.from(new Set(values.map(tag => String(tag).trim()).filter(Boolean)));
+}
+
+// The calendar date where the script runs; toISOString() would give the UTC date instead.
+export function formatLocalDate(date = new Date()) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
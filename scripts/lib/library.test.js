@@ -0,0 +1,24 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { formatLocalDate, normalisePriority, parseTags, PRIORITIES } from './library.js';
+
+test('normalisePriority accepts the prompt numbers, keys and Chinese labels', () => {
+    assert.equal(normalisePriority(''), 'normal');
+    assert.equal(normalisePriority(' 1 '), 'must-see');
+    assert.equal(normalisePriority('必看'), 'must-see');
+    assert.equal(normalisePriority('Someday'), 'someday');
+    assert.equal(normalisePriority('4'), null);
+    assert.ok(['1', '2', '3'].every(input => PRIORITIES.includes(normalisePriority(input))));
+});
+
+test('parseTags splits on either comma width and spaces and drops duplicates', () => {
+    assert.deepEqual(parseTags('科幻, 经典，科幻  重温'), ['科幻', '经典', '重温']);
+    assert.deepEqual(parseTags([' 动画 ', '动画', 2024]), ['动画', '2024']);
+    assert.deepEqual(parseTags(''), []);
+    assert.deepEqual(parseTags(undefined), []);
+});
+
+test('formatLocalDate uses the local calendar date, not the UTC one', () => {
+    assert.equal(formatLocalDate(new Date(2026, 0, 5, 0, 30)), '2026-01-05');
+    assert.equal(formatLocalDate(new Date(2025, 11, 31, 23, 59)), '2025-12-31');
+});
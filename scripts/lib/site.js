@@ -0,0 +1,60 @@
+// Helpers shared by the scripts that publish the site: feeds, calendar, title pages and posters.
+import { readFile } from 'node:fs/promises';
+import { resolve } from 'node:path';
+import process from 'node:process';
+
+const CNAME_PATH = resolve(process.cwd(), 'CNAME');
+
+export const PAGE_DIR = 'titles';
+
+// `SITE_URL` wins; otherwise the GitHub Pages domain in CNAME. Always ends with a slash.
+export async function resolveSiteUrl() {
+    if (process.env.SITE_URL) {
+        return process.env.SITE_URL.replace(/\/?$/, '/');
+    }
+    try {
+        const domain = (await readFile(CNAME_PATH, 'utf-8')).trim();
+        if (domain) {
+            return `https://${domain}/`;
+        }
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.warn('读取 CNAME 失败：', error.message);
+        }
+    }
+    return null;
+}
+
+export function escapeXml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, char => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;',
+    })[char]);
+}
+
+export function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, char => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;',
+    })[char]);
+}
+
+// TMDB numbers movies and TV shows separately. Keep in sync with getEntryKey() in movies.js.
+// Bare ids (the short form of a list item) are movies.
+export function getEntryKey(item) {
+    return typeof item === 'object' && item !== null ? `${item.mediaType || 'movie'}:${item.id}` : `movie:${item}`;
+}
+
+// Keep in sync with getTitlePageUrl() in movies.js.
+export function getTitlePagePath(item) {
+    const id = String(item.id).replace(/[^\w-]/g, '') || 'untitled';
+    return `${PAGE_DIR}/${item.mediaType || 'movie'}-${id}.html`;
+}
+
+// The image a card shows: a TMDB path, or a web video's own cover when it is an http(s) URL.
+// fetch_movies.js keeps `localPoster` only while this is unchanged, and mirror_posters.js downloads it.
+export function getPosterSource(item) {
+    if (item.mediaType === 'web-video') {
+        const coverUrl = typeof item.coverUrl === 'string' ? item.coverUrl.trim() : '';
+        return /^https?:\/\//i.test(coverUrl) ? coverUrl : null;
+    }
+    return item.tmdb?.poster_path || item.tmdb?.backdrop_path || null;
+}
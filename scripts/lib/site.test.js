@@ -0,0 +1,49 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { escapeHtml, escapeXml, getEntryKey, getPosterSource, getTitlePagePath, resolveSiteUrl } from './site.js';
+
+test('getEntryKey prefixes the media type, defaulting to movie', () => {
+    assert.equal(getEntryKey({ id: 209867, mediaType: 'tv' }), 'tv:209867');
+    assert.equal(getEntryKey({ id: 209867 }), 'movie:209867');
+    assert.equal(getEntryKey({ id: 'bilibili-BV1xx', mediaType: 'web-video' }), 'web-video:bilibili-BV1xx');
+    // Curated lists may list bare ids.
+    assert.equal(getEntryKey(137), 'movie:137');
+});
+
+test('getTitlePagePath keeps file names safe', () => {
+    assert.equal(getTitlePagePath({ id: 774531 }), 'titles/movie-774531.html');
+    assert.equal(getTitlePagePath({ id: 209867, mediaType: 'tv' }), 'titles/tv-209867.html');
+    assert.equal(getTitlePagePath({ id: '../x y', mediaType: 'web-video' }), 'titles/web-video-xy.html');
+    assert.equal(getTitlePagePath({ id: '//' }), 'titles/movie-untitled.html');
+});
+
+test('getPosterSource uses the TMDB poster, then the backdrop, and only http(s) web video covers', () => {
+    assert.equal(getPosterSource({ tmdb: { poster_path: '/p.jpg', backdrop_path: '/b.jpg' } }), '/p.jpg');
+    assert.equal(getPosterSource({ mediaType: 'tv', tmdb: { backdrop_path: '/b.jpg' } }), '/b.jpg');
+    assert.equal(getPosterSource({ id: 1 }), null);
+    assert.equal(getPosterSource({ mediaType: 'web-video', coverUrl: ' https://i0.hdslb.com/cover.jpg ' }), 'https://i0.hdslb.com/cover.jpg');
+    assert.equal(getPosterSource({ mediaType: 'web-video', coverUrl: 'covers/local.jpg', tmdb: { poster_path: '/p.jpg' } }), null);
+});
+
+test('escapeXml and escapeHtml escape markup and quotes', () => {
+    assert.equal(escapeXml(`<a href="x">Tom & Jerry's</a>`), '&lt;a href=&quot;x&quot;&gt;Tom &amp; Jerry&apos;s&lt;/a&gt;');
+    assert.equal(escapeHtml(`"O'Neil" & <b>`), '&quot;O&#39;Neil&quot; &amp; &lt;b&gt;');
+    assert.equal(escapeXml(null), '');
+    assert.equal(escapeXml(7.5), '7.5');
+});
+
+test('resolveSiteUrl prefers SITE_URL and always ends with a slash', async () => {
+    const previous = process.env.SITE_URL;
+    try {
+        process.env.SITE_URL = 'https://example.com/movies';
+        assert.equal(await resolveSiteUrl(), 'https://example.com/movies/');
+        process.env.SITE_URL = 'https://example.com/';
+        assert.equal(await resolveSiteUrl(), 'https://example.com/');
+    } finally {
+        if (previous === undefined) {
+            delete process.env.SITE_URL;
+        } else {
+            process.env.SITE_URL = previous;
+        }
+    }
+});
@@ -0,0 +1,204 @@
+#!/usr/bin/env node
+import { readFile, writeFile } from 'node:fs/promises';
+import { resolve } from 'node:path';
+import { argv, stdin, stdout } from 'node:process';
+import readline from 'node:readline/promises';
+import { formatLocalDate } from './lib/library.js';
+
+const LIBRARY_PATH = resolve(process.cwd(), 'data/library.json');
+const MOVIES_PATH = resolve(process.cwd(), 'data/movies.json');
+
+const args = argv.slice(2);
+const positional = [];
+let seasonArg = null;
+let dateArg = null;
+
+args.forEach(arg => {
+    if (arg.startsWith('--season=')) {
+        seasonArg = Number(arg.replace('--season=', ''));
+    } else if (arg.startsWith('--date=')) {
+        dateArg = arg.replace('--date=', '').trim();
+    } else {
+        positional.push(arg);
+    }
+});
+
+// `log_episode.js 芙莉莲 12`: a trailing number is the episode, the rest is the title keyword.
+const episodeArg = positional.length && /^\d+$/.test(positional[positional.length - 1])
+    ? Number(positional.pop())
+    : null;
+const keywordArg = positional.join(' ').trim();
+
+const rl = readline.createInterface({ input: stdin, output: stdout });
+
+async function prompt(question, { required = false } = {}) {
+    const answer = await rl.question(question);
+    const trimmed = answer.trim();
+    if (required && !trimmed) {
+        console.log('不能为空，请重新输入。');
+        return prompt(question, { required });
+    }
+    return trimmed;
+}
+
+async function loadLibrary() {
+    const raw = await readFile(LIBRARY_PATH, 'utf-8');
+    const parsed = JSON.parse(raw);
+    parsed.watching = Array.isArray(parsed.watching) ? parsed.watching : [];
+    parsed.watched = Array.isArray(parsed.watched) ? parsed.watched : [];
+    parsed.wishlist = Array.isArray(parsed.wishlist) ? parsed.wishlist : [];
+    return parsed;
+}
+
+async function saveLibrary(library) {
+    await writeFile(LIBRARY_PATH, `${JSON.stringify(library, null, 2)}\n`);
+    console.log(`\n已更新 ${LIBRARY_PATH}`);
+}
+
+// Episode counts come from the last fetch_movies.js run; without them any episode number is accepted.
+async function loadSeasonTotals(id) {
+    try {
+        const parsed = JSON.parse(await readFile(MOVIES_PATH, 'utf-8'));
+        const item = (parsed.items || []).find(entry => entry.mediaType === 'tv' && String(entry.id) === String(id));
+        return new Map((item?.tmdb?.seasons || []).map(season => [season.season_number, season.episode_count]));
+    } catch (error) {
+        return new Map();
+    }
+}
+
+function normaliseDate(value) {
+    if (!value) {
+        return null;
+    }
+    const iso = new Date(value);
+    if (Number.isNaN(iso.getTime())) {
+        return null;
+    }
+    return iso.toISOString().slice(0, 10);
+}
+
+function addDate(dates = [], date) {
+    return Array.from(new Set([...dates, date])).sort((a, b) => a.localeCompare(b));
+}
+
+async function chooseShow(library) {
+    const shows = [...library.watching, ...library.watched, ...library.wishlist]
+        .filter(entry => entry.mediaType === 'tv');
+    const needle = keywordArg.toLowerCase();
+    const matches = keywordArg
+        ? shows.filter(entry => String(entry.id) === keywordArg || (entry.title || '').toLowerCase().includes(needle))
+        : library.watching.filter(entry => entry.mediaType === 'tv');
+
+    if (!matches.length) {
+        console.log(keywordArg ? `没有找到与“${keywordArg}”匹配的剧集。` : '“正在看”里没有剧集，可以带上片名关键词再试。');
+        return null;
+    }
+    if (matches.length === 1) {
+        return matches[0];
+    }
+
+    matches.forEach((entry, index) => {
+        console.log(`${index + 1}. ${entry.title || '(未命名)'}（TMDB ${entry.id}）`);
+    });
+    const choice = Number(await prompt('请选择剧集编号（0 取消）：', { required: true }));
+    if (!Number.isInteger(choice) || choice < 1 || choice > matches.length) {
+        return null;
+    }
+    return matches[choice - 1];
+}
+
+// Continue the latest season with progress, or move on once it is finished.
+function getDefaultSeason(seasons, totals) {
+    const latest = [...seasons].reverse().find(season => season.episodesWatched > 0);
+    if (!latest) {
+        return 1;
+    }
+    const total = totals.get(latest.season);
+    if (total && latest.episodesWatched >= total && totals.has(latest.season + 1)) {
+        return latest.season + 1;
+    }
+    return latest.season;
+}
+
+function moveToWatched(library, show, date) {
+    library.watching = library.watching.filter(entry => entry !== show);
+    library.wishlist = library.wishlist.filter(entry => entry !== show);
+    if (!library.watched.includes(show)) {
+        library.watched.unshift(show);
+    }
+    show.status = 'watched';
+    show.watchDates = addDate(Array.isArray(show.watchDates) ? show.watchDates : [], date);
+    show.watchDate = show.watchDates[0];
+}
+
+async function main() {
+    const library = await loadLibrary();
+    const show = await chooseShow(library);
+    if (!show) {
+        return;
+    }
+
+    const totals = await loadSeasonTotals(show.id);
+    show.seasons = Array.isArray(show.seasons) ? show.seasons : [];
+
+    let seasonNumber = Number.isInteger(seasonArg) && seasonArg > 0 ? seasonArg : null;
+    if (!seasonNumber) {
+        const fallback = getDefaultSeason(show.seasons, totals);
+        seasonNumber = episodeArg
+            ? fallback
+            : Number(await prompt(`第几季（默认 ${fallback}）：`)) || fallback;
+    }
+    if (totals.size && !totals.has(seasonNumber)) {
+        console.log(`TMDB 上没有第 ${seasonNumber} 季，共 ${totals.size} 季。`);
+        return;
+    }
+
+    let season = show.seasons.find(item => item.season === seasonNumber);
+    if (!season) {
+        season = { season: seasonNumber, episodesWatched: 0, watchDates: [] };
+        show.seasons.push(season);
+        show.seasons.sort((a, b) => a.season - b.season);
+    }
+
+    const total = totals.get(seasonNumber) || null;
+    const nextEpisode = Math.min((season.episodesWatched || 0) + 1, total || Infinity);
+    const episode = episodeArg || Number(await prompt(`看到第几集（默认 ${nextEpisode}${total ? ` / ${total}` : ''}）：`)) || nextEpisode;
+    if (!Number.isInteger(episode) || episode < 1 || (total && episode > total)) {
+        console.log(`集数无效${total ? `，本季共 ${total} 集` : ''}。`);
+        return;
+    }
+
+    const date = normaliseDate(dateArg) || formatLocalDate();
+    season.episodesWatched = episode;
+    season.watchDates = addDate(season.watchDates, date);
+    console.log(`《${show.title}》第 ${seasonNumber} 季已看到第 ${episode} 集${total ? ` / ${total}` : ''}（${date}）。`);
+
+    if (total && episode >= total) {
+        const ratingInput = await prompt('本季看完了，评分（0-10，可留空）：');
+        const rating = Number(ratingInput);
+        if (ratingInput && !Number.isNaN(rating) && rating >= 0 && rating <= 10) {
+            season.rating = rating;
+        }
+
+        const allDone = totals.size > 0 && [...totals].every(([number, count]) => {
+            const progress = show.seasons.find(item => item.season === number);
+            return progress && progress.episodesWatched >= count;
+        });
+        if (allDone && show.status !== 'watched') {
+            const answer = await prompt('全部剧集都看完了，要移到“已看过”吗？(y/N)：');
+            if (/^y(es)?$/i.test(answer)) {
+                moveToWatched(library, show, date);
+            }
+        }
+    }
+
+    await saveLibrary(library);
+    console.log('请运行 `TMDB_API_KEY="..." node scripts/fetch_movies.js` 以刷新数据。');
+}
+
+main()
+    .catch(error => {
+        console.error('记录失败：', error.message);
+        process.exitCode = 1;
+    })
+    .finally(() => rl.close());
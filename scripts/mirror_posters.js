@@ -0,0 +1,155 @@
+#!/usr/bin/env node
+import { createHash } from 'node:crypto';
+import { mkdir, readdir, readFile, stat, unlink, writeFile } from 'node:fs/promises';
+import { extname, resolve } from 'node:path';
+import process from 'node:process';
+import { buildPages } from './build_pages.js';
+import { getPosterSource } from './lib/site.js';
+
+const SNAPSHOT_PATH = resolve(process.cwd(), 'data/movies.json');
+const POSTER_DIR = 'movie_posters';
+const POSTER_WIDTHS = [185, 342, 500];
+const DEFAULT_WIDTH = 342;
+const TMDB_IMAGE_BASE_URL = 'https://image.tmdb.org/t/p';
+const IMAGE_EXTENSIONS = new Set(['.jpg', '.jpeg', '.png', '.webp']);
+// `<id>-<hash>[-<width>].<ext>` as written by getBaseName(); anything else in POSTER_DIR is left alone.
+const MIRRORED_FILE_PATTERN = /^[\w-]+-[0-9a-f]{10}(-\d+)?\.(jpe?g|png|webp)$/;
+
+function getExtension(source) {
+    const pathname = source.startsWith('/') ? source : new URL(source).pathname.replace(/@.*$/, '');
+    const extension = extname(pathname).toLowerCase();
+    return IMAGE_EXTENSIONS.has(extension) ? extension : '.jpg';
+}
+
+// Returns null when the host can't resize, in which case only the original is mirrored.
+function getResizedUrl(source, width) {
+    if (source.startsWith('/')) {
+        return `${TMDB_IMAGE_BASE_URL}/w${width}${source}`;
+    }
+    const url = new URL(source);
+    if (url.hostname.endsWith('.hdslb.com')) {
+        // Bilibili's image CDN resizes on the fly with an `@<width>w` suffix.
+        url.protocol = 'https:';
+        url.pathname = `${url.pathname.replace(/@.*$/, '')}@${width}w${getExtension(source)}`;
+        return url.href;
+    }
+    return null;
+}
+
+// File names include a hash of the source so a changed poster never reuses a cached URL.
+function getBaseName(item, source) {
+    const id = String(item.id).replace(/[^\w-]/g, '').slice(0, 40) || item.mediaType || 'poster';
+    const hash = createHash('sha1').update(source).digest('hex').slice(0, 10);
+    return `${POSTER_DIR}/${id}-${hash}`;
+}
+
+async function fileExists(path) {
+    try {
+        return (await stat(resolve(process.cwd(), path))).size > 0;
+    } catch (error) {
+        return false;
+    }
+}
+
+async function download(url, path) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`GET ${url} failed with status ${response.status}`);
+    }
+    await writeFile(resolve(process.cwd(), path), Buffer.from(await response.arrayBuffer()));
+}
+
+async function mirrorPoster(item, source, stats) {
+    const baseName = getBaseName(item, source);
+    const extension = getExtension(source);
+    const resizable = getResizedUrl(source, DEFAULT_WIDTH) !== null;
+    const targets = resizable
+        ? POSTER_WIDTHS.map(width => ({ width, url: getResizedUrl(source, width), path: `${baseName}-${width}${extension}` }))
+        : [{ width: null, url: source, path: `${baseName}${extension}` }];
+
+    for (const target of targets) {
+        if (await fileExists(target.path)) {
+            continue;
+        }
+        await download(target.url, target.path);
+        stats.downloaded += 1;
+    }
+
+    return {
+        source,
+        src: (targets.find(target => target.width === DEFAULT_WIDTH) || targets[0]).path,
+        srcset: resizable ? targets.map(target => `${target.path} ${target.width}w`).join(', ') : null,
+    };
+}
+
+function listFiles(localPoster) {
+    if (!localPoster) {
+        return [];
+    }
+    const files = [localPoster.src];
+    if (localPoster.srcset) {
+        files.push(...localPoster.srcset.split(',').map(candidate => candidate.trim().split(/\s+/)[0]));
+    }
+    return files.filter(Boolean);
+}
+
+async function main() {
+    const snapshot = JSON.parse(await readFile(SNAPSHOT_PATH, 'utf-8'));
+    const items = Array.isArray(snapshot.items) ? snapshot.items : [];
+    await mkdir(resolve(process.cwd(), POSTER_DIR), { recursive: true });
+
+    const stats = { downloaded: 0, failed: 0 };
+
+    for (const item of items) {
+        const source = getPosterSource(item);
+        if (!source) {
+            delete item.localPoster;
+            continue;
+        }
+        try {
+            item.localPoster = await mirrorPoster(item, source, stats);
+        } catch (error) {
+            stats.failed += 1;
+            console.warn(`无法下载 ${item.title || item.id} 的海报：${error.message}`);
+            // An older copy of the same image is still good; one of a replaced image is not.
+            if (item.localPoster?.source !== source) {
+                delete item.localPoster;
+            }
+        }
+    }
+
+    // Remove copies of posters that have since been replaced or dropped from the library, including
+    // ones an earlier snapshot no longer mentions.
+    const keptFiles = new Set(items.flatMap(item => listFiles(item.localPoster)));
+    const mirroredFiles = (await readdir(resolve(process.cwd(), POSTER_DIR)))
+        .filter(name => MIRRORED_FILE_PATTERN.test(name))
+        .map(name => `${POSTER_DIR}/${name}`);
+    let removed = 0;
+    for (const file of mirroredFiles) {
+        if (keptFiles.has(file)) {
+            continue;
+        }
+        try {
+            await unlink(resolve(process.cwd(), file));
+            removed += 1;
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn(`无法删除 ${file}：${error.message}`);
+            }
+        }
+    }
+
+    await writeFile(SNAPSHOT_PATH, `${JSON.stringify(snapshot, null, 2)}\n`);
+    console.log(`下载 ${stats.downloaded} 张图片，删除 ${removed} 张旧图片，失败 ${stats.failed} 条。`);
+    // Share pages point at the local copies, so rebuild them with the new paths.
+    await buildPages(items);
+    if (stats.failed) {
+        process.exitCode = 1;
+    }
+}
+
+main()
+    .catch(error => {
+        console.error('Failed to mirror posters:', error.message);
+        process.exitCode = 1;
+    });
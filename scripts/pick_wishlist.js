@@ -0,0 +1,242 @@
+#!/usr/bin/env node
+import { readFile, writeFile } from 'node:fs/promises';
+import { resolve } from 'node:path';
+import { argv, stdin, stdout } from 'node:process';
+import readline from 'node:readline/promises';
+import { isMainModule } from './lib/cli.js';
+
+const SNAPSHOT_PATH = resolve(process.cwd(), 'data/movies.json');
+// Local to this machine and listed in .gitignore; the web page keeps its own history in localStorage.
+const HISTORY_PATH = resolve(process.cwd(), 'data/pick_history.json');
+// Keep in sync with PICK_RECENT_DAYS in movies.js; movies.test.js checks that the two agree.
+export const PICK_RECENT_DAYS = 14;
+const PICK_HISTORY_LIMIT = 100;
+const WEIGHTS = ['even', 'rating', 'waiting'];
+const MEDIA_TYPE_LABELS = {
+    movie: '电影',
+    tv: '剧集',
+    'web-video': '网络视频',
+};
+
+const args = argv.slice(2);
+const options = {
+    type: null,
+    maxRuntime: null,
+    genre: null,
+    language: null,
+    weight: 'even',
+    recentDays: PICK_RECENT_DAYS,
+};
+
+args.forEach(arg => {
+    const [flag, ...rest] = arg.split('=');
+    const value = rest.join('=').trim();
+    if (flag === '--type' && MEDIA_TYPE_LABELS[value]) {
+        options.type = value;
+    } else if (flag === '--max-runtime' && Number(value) > 0) {
+        options.maxRuntime = Number(value);
+    } else if (flag === '--genre' && value) {
+        options.genre = value;
+    } else if (flag === '--language' && value) {
+        options.language = value.toLowerCase();
+    } else if (flag === '--weight' && WEIGHTS.includes(value)) {
+        options.weight = value;
+    } else if (flag === '--recent-days' && Number.isInteger(Number(value)) && Number(value) >= 0) {
+        options.recentDays = Number(value);
+    } else {
+        console.warn(`忽略无法识别的参数：${arg}`);
+    }
+});
+
+async function loadHistory() {
+    try {
+        const parsed = JSON.parse(await readFile(HISTORY_PATH, 'utf-8'));
+        return Array.isArray(parsed) ? parsed : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+async function saveHistory(history) {
+    await writeFile(HISTORY_PATH, `${JSON.stringify(history.slice(-PICK_HISTORY_LIMIT), null, 2)}\n`);
+}
+
+// Keep in sync with getSection() in movies.js.
+export function isWishlist(item) {
+    const status = (item.status || '').toLowerCase();
+    return status === 'wishlist' || status === 'planned';
+}
+
+function getRuntime(item) {
+    if (item.mediaType === 'web-video') {
+        const parts = String(item.duration || '').split(':').map(Number);
+        return item.duration && !parts.some(Number.isNaN) ? parts.reduce((total, part) => total * 60 + part, 0) / 60 : null;
+    }
+    return typeof item.tmdb?.runtime === 'number' && item.tmdb.runtime > 0 ? item.tmdb.runtime : null;
+}
+
+function getTmdbRating(item) {
+    return typeof item.tmdb?.vote_average === 'number' && item.tmdb.vote_average > 0 ? item.tmdb.vote_average : null;
+}
+
+function findGenre(item) {
+    const needle = options.genre.toLowerCase();
+    return (item.tmdb?.genres || []).find(genre => String(genre.id) === needle || (genre.name || '').toLowerCase() === needle) || null;
+}
+
+function getLastPick(history, item) {
+    const picks = history.filter(pick => (pick.mediaType || 'movie') === (item.mediaType || 'movie') && String(pick.id) === String(item.id));
+    return picks.length ? picks[picks.length - 1].pickedAt : null;
+}
+
+function getDaysSince(isoDate) {
+    return Math.floor((Date.now() - new Date(isoDate).getTime()) / 86400000);
+}
+
+// Rank 1 is the title that has waited longest. Keep in sync with compareByWaiting in movies.js:
+// entries without `addedAt` predate it, and library.json keeps the newest additions at the top.
+export function getWaitingRank(item, wishlist) {
+    const order = [...wishlist].sort((a, b) => Number(Boolean(a.addedAt)) - Number(Boolean(b.addedAt))
+        || (a.addedAt || '').localeCompare(b.addedAt || '')
+        || wishlist.indexOf(b) - wishlist.indexOf(a));
+    return order.indexOf(item) + 1;
+}
+
+function getCandidates(wishlist, history) {
+    return wishlist.filter(item => {
+        if (options.type && (item.mediaType || 'movie') !== options.type) {
+            return false;
+        }
+        if (options.maxRuntime && !(getRuntime(item) <= options.maxRuntime)) {
+            return false;
+        }
+        if (options.genre && !findGenre(item)) {
+            return false;
+        }
+        if (options.language && item.tmdb?.original_language !== options.language) {
+            return false;
+        }
+        const lastPick = getLastPick(history, item);
+        return !(options.recentDays && lastPick && getDaysSince(lastPick) < options.recentDays);
+    });
+}
+
+// Same weighting as the web picker: squared TMDB ratings (unrated counts as 6.0) or how long a title has waited.
+function getWeight(item, wishlist) {
+    if (options.weight === 'rating') {
+        return (getTmdbRating(item) || 6) ** 2;
+    }
+    if (options.weight === 'waiting') {
+        return wishlist.length - getWaitingRank(item, wishlist) + 1;
+    }
+    return 1;
+}
+
+function draw(candidates, weights) {
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    let threshold = Math.random() * total;
+    const index = weights.findIndex(weight => {
+        threshold -= weight;
+        return threshold < 0;
+    });
+    return index === -1 ? candidates.length - 1 : index;
+}
+
+function explain(item, { chance, poolSize, wishlist, lastPick }) {
+    const reasons = [`从 ${poolSize} 部符合条件的想看中抽中，概率约 ${Math.max(1, Math.round(chance * 100))}%`];
+    if (options.type) {
+        reasons.push(`只在${MEDIA_TYPE_LABELS[options.type]}里挑`);
+    }
+    if (options.maxRuntime) {
+        reasons.push(`片长 ${Math.round(getRuntime(item))} 分钟，不超过 ${options.maxRuntime} 分钟`);
+    }
+    if (options.genre) {
+        reasons.push(`属于「${findGenre(item).name}」题材`);
+    }
+    if (options.language) {
+        reasons.push(`原始语言是 ${options.language}`);
+    }
+    if (options.weight === 'rating') {
+        const rating = getTmdbRating(item);
+        reasons.push(rating ? `TMDB 评分 ${rating.toFixed(1)}，评分越高越容易抽中` : '暂无 TMDB 评分，按中等评分计算');
+    } else if (options.weight === 'waiting') {
+        reasons.push(`在想看里排第 ${getWaitingRank(item, wishlist)} 久（共 ${wishlist.length} 部），等得越久越容易抽中`);
+    }
+    if (!lastPick) {
+        reasons.push('之前还没选定过它');
+    } else {
+        const days = getDaysSince(lastPick);
+        reasons.push(days > 0 ? `上次选定它是 ${days} 天前` : '今天已经选定过它一次');
+    }
+    return reasons;
+}
+
+function describe(item) {
+    const year = (item.tmdb?.release_date || '').slice(0, 4);
+    const runtime = getRuntime(item);
+    const details = [
+        MEDIA_TYPE_LABELS[item.mediaType || 'movie'],
+        year || null,
+        runtime ? `${Math.round(runtime)} 分钟` : null,
+        (item.tmdb?.genres || []).map(genre => genre.name).join(' / ') || null,
+    ].filter(Boolean).join(' · ');
+    return `${item.title || item.tmdb?.title || '(未命名)'}${details ? `（${details}）` : ''}`;
+}
+
+async function main(rl) {
+    const snapshot = JSON.parse(await readFile(SNAPSHOT_PATH, 'utf-8'));
+    const wishlist = (Array.isArray(snapshot.items) ? snapshot.items : []).filter(isWishlist);
+    const history = await loadHistory();
+    const matching = getCandidates(wishlist, history);
+    if (!matching.length) {
+        console.log(wishlist.length ? '没有符合条件的想看条目，放宽一些条件试试。' : '想看列表是空的。');
+        return;
+    }
+
+    const skipped = new Set();
+    let previous = null;
+    for (;;) {
+        let candidates = matching.filter(item => !skipped.has(item));
+        // Once everything has been rerolled away, start another round without repeating the last pick.
+        if (!candidates.length) {
+            skipped.clear();
+            candidates = matching.length > 1 ? matching.filter(item => item !== previous) : matching;
+        }
+        const weights = candidates.map(item => getWeight(item, wishlist));
+        const index = draw(candidates, weights);
+        const item = candidates[index];
+        const reasons = explain(item, {
+            chance: weights[index] / weights.reduce((sum, weight) => sum + weight, 0),
+            poolSize: candidates.length,
+            wishlist,
+            lastPick: getLastPick(history, item),
+        });
+
+        console.log(`\n🎲 今晚看：${describe(item)}`);
+        reasons.forEach(reason => console.log(`  - ${reason}`));
+        if (item.note) {
+            console.log(`  备注：${item.note}`);
+        }
+
+        const answer = await rl.question('\n换一部？(y/N)：');
+        if (!/^y(es)?$/i.test(answer.trim())) {
+            // Only the title settled on is recorded; rerolled ones are just skipped for this run.
+            history.push({ id: item.id, mediaType: item.mediaType || 'movie', pickedAt: new Date().toISOString() });
+            await saveHistory(history);
+            console.log('已记下，观影愉快。');
+            return;
+        }
+        skipped.add(item);
+        previous = item;
+    }
+}
+
+if (isMainModule(import.meta.url)) {
+    const rl = readline.createInterface({ input: stdin, output: stdout });
+    main(rl)
+        .catch(error => {
+            console.error('抽取失败：', error.message);
+            process.exitCode = 1;
+        })
+        .finally(() => rl.close());
+}
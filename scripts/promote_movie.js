@@ -3,6 +3,7 @@ import { readFile, writeFile } from 'node:fs/promises';
 import { resolve } from 'node:path';
 import { stdin, stdout } from 'node:process';
 import readline from 'node:readline/promises';
+import { formatLocalDate } from './lib/library.js';
 
 const LIBRARY_PATH = resolve(process.cwd(), 'data/library.json');
 
@@ -134,7 +135,7 @@ async function main() {
         return;
     }
 
-    const today = new Date().toISOString().slice(0, 10);
+    const today = formatLocalDate();
     let defaultDate = await prompt(`观影日期（默认 ${today}，可留空使用默认）：`);
     defaultDate = normaliseDate(defaultDate || today);
     if (!defaultDate) {
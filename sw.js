@@ -0,0 +1,135 @@
+// Bump the version whenever the precache list changes.
+const SHELL_CACHE = 'movie-gallery-shell-v2';
+const IMAGE_CACHE = 'movie-gallery-images-v1';
+const DATA_URL = new URL('data/movies.json', self.location).href;
+const SHELL_PAGES = ['./', 'index.html'].map(path => new URL(path, self.location).href);
+const MAX_IMAGE_ENTRIES = 600;
+
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    'locales.js',
+    'movies.js',
+    'styles.css',
+    'data/movies.json',
+    'images/favicon.png',
+    'movie_posters/placeholder.png',
+].map(path => new URL(path, self.location).href);
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(PRECACHE_URLS))
+            .then(() => self.skipWaiting()),
+    );
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('movie-gallery-') && key !== SHELL_CACHE && key !== IMAGE_CACHE)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim()),
+    );
+});
+
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    if (request.method !== 'GET') {
+        return;
+    }
+
+    const url = new URL(request.url);
+    if (url.href.split('?')[0] === DATA_URL) {
+        event.respondWith(serveMovieData(event));
+    } else if (request.mode === 'navigate' && SHELL_PAGES.includes(url.href.split(/[?#]/)[0])) {
+        // Only the gallery itself; the static pages under titles/ go to the network.
+        event.respondWith(serveShell(event, new URL('index.html', self.location).href));
+    } else if (url.origin === self.location.origin && PRECACHE_URLS.includes(url.href.split('?')[0])) {
+        event.respondWith(serveShell(event, url.href.split('?')[0]));
+    } else if (request.destination === 'image') {
+        event.respondWith(serveImage(request));
+    }
+});
+
+async function notifyClients(message) {
+    const clients = await self.clients.matchAll({ type: 'window' });
+    clients.forEach(client => client.postMessage(message));
+}
+
+// Stale-while-revalidate: answer from the cache straight away and refresh it in the background.
+// A deploy therefore shows up on the next load, so open pages are told when a file changed.
+async function serveShell(event, cacheKey) {
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(cacheKey);
+    // Read the cached body before `cached` is handed to the page.
+    const cachedText = cached ? cached.clone().text().catch(() => null) : null;
+    const refresh = fetch(event.request)
+        .then(async response => {
+            if (!response.ok) {
+                return response;
+            }
+            const previousText = await cachedText;
+            const changed = cached && previousText !== null && previousText !== await response.clone().text();
+            await cache.put(cacheKey, response.clone());
+            if (changed) {
+                await notifyClients({ type: 'shell-updated' });
+            }
+            return response;
+        });
+    event.waitUntil(refresh.catch(() => {}));
+    return cached || refresh;
+}
+
+async function readGeneratedAt(response) {
+    try {
+        const data = await response.clone().json();
+        return data.generatedAt || null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Same strategy as the shell, but tell open pages when the refreshed snapshot differs.
+async function serveMovieData(event) {
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(DATA_URL);
+    // Clone the cached body now: once `cached` is handed to the page it can no longer be read.
+    const cachedGeneratedAt = cached ? readGeneratedAt(cached) : null;
+    const refresh = fetch(event.request).then(async response => {
+        if (!response.ok) {
+            return response;
+        }
+        const previousGeneratedAt = await cachedGeneratedAt;
+        const generatedAt = await readGeneratedAt(response);
+        await cache.put(DATA_URL, response.clone());
+        if (cached && generatedAt && generatedAt !== previousGeneratedAt) {
+            await notifyClients({ type: 'movie-data-updated', generatedAt });
+        }
+        return response;
+    });
+    event.waitUntil(refresh.catch(() => {}));
+    return cached || refresh;
+}
+
+// Posters never change for a given URL, so serve them cache-first. Cross-origin covers
+// (e.g. Bilibili) come back opaque, which is fine for <img>.
+async function serveImage(request) {
+    const cache = await caches.open(IMAGE_CACHE);
+    const cached = await cache.match(request);
+    if (cached) {
+        return cached;
+    }
+    const response = await fetch(request);
+    if (response.ok || response.type === 'opaque') {
+        await cache.put(request, response.clone());
+        trimImageCache(cache);
+    }
+    return response;
+}
+
+async function trimImageCache(cache) {
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - MAX_IMAGE_ENTRIES)).map(key => cache.delete(key)));
+}